@@ -0,0 +1,258 @@
+/**
+ * Drafts keep code of the IDE in local storage of the browser. Every game has its
+ * unsaved draft and history of revisions, so work survives reloading of the page
+ * and earlier versions of code can be compared and restored.
+ *
+ * @property {string} name	Name of game, drafts of new game are kept under empty name.
+ * @since 1.1.0
+ */
+class Drafts {
+
+	/**
+	 * Constructor for Drafts.
+	 *
+	 * @param {string} [name = ""]	Name of game.
+	 */
+	constructor(name = "") {
+		this.name = name;
+	}
+
+	/**
+	 * Returns key of local storage where drafts of game are kept.
+	 *
+	 * @returns {string} Key of local storage.
+	 */
+	get key() {
+		return Drafts.PREFIX + this.name;
+	}
+
+	/**
+	 * Reads drafts of game from local storage.
+	 *
+	 * @returns {{draft: Revision, revisions: Revision[]}} Draft or null and revisions from the oldest.
+	 */
+	load() {
+		var data = null;
+		try {
+			data = JSON.parse(localStorage.getItem(this.key));
+		} catch (error) {
+			console.warn("Drafts can not be read: " + error);
+		}
+		return data || {draft: null, revisions: []};
+	}
+
+	/**
+	 * Writes drafts of game to local storage.
+	 *
+	 * @param {{draft: Revision, revisions: Revision[]}} data Draft and revisions.
+	 */
+	store(data) {
+		try {
+			localStorage.setItem(this.key, JSON.stringify(data));
+		} catch (error) {
+			// Storage may be full or disabled, IDE works without drafts
+			console.warn("Drafts can not be saved: " + error);
+		}
+	}
+
+	/**
+	 * Returns unsaved code of game.
+	 *
+	 * @returns {Revision} Draft or null if there is none.
+	 */
+	getDraft() {
+		return this.load().draft;
+	}
+
+	/**
+	 * Remembers unsaved code of game.
+	 *
+	 * @param {string} code	Code of game.
+	 */
+	saveDraft(code) {
+		var data = this.load();
+		data.draft = {code: code, time: Date.now(), label: "Draft"};
+		this.store(data);
+	}
+
+	/**
+	 * Forgets unsaved code, for example after it is saved.
+	 */
+	clearDraft() {
+		var data = this.load();
+		data.draft = null;
+		this.store(data);
+	}
+
+	/**
+	 * Returns revisions of game.
+	 *
+	 * @returns {Revision[]} Revisions from the oldest to the newest.
+	 */
+	getRevisions() {
+		return this.load().revisions;
+	}
+
+	/**
+	 * Adds revision to history. Revision is not added if code is the same as in the last one.
+	 * The oldest revisions are removed when there are more than Drafts.LIMIT of them.
+	 *
+	 * @param {string} code		Code of game.
+	 * @param {string} label	Short description of revision, for example "Saved".
+	 * @returns {Revision} The newest revision.
+	 */
+	addRevision(code, label) {
+		var data = this.load();
+		var last = data.revisions[data.revisions.length - 1];
+		if (last && last.code == code) {
+			return last;
+		}
+		var revision = {code: code, time: Date.now(), label: label};
+		data.revisions.push(revision);
+		data.revisions.splice(0, Math.max(0, data.revisions.length - Drafts.LIMIT));
+		this.store(data);
+		return revision;
+	}
+
+	/**
+	 * Moves drafts to new name of game, for example when new game is saved first time.
+	 *
+	 * @param {string} name	New name of game.
+	 */
+	rename(name) {
+		if (name == this.name) {
+			return;
+		}
+		var data = this.load();
+		try {
+			localStorage.removeItem(this.key);
+		} catch (error) {
+			console.warn("Drafts can not be removed: " + error);
+		}
+		this.name = name;
+		this.store(data);
+	}
+
+	/**
+	 * Copies history to forked game. Unsaved draft of original game is removed,
+	 * because its code belongs to forked game now. Revisions of original game stay untouched.
+	 *
+	 * @param {string} name	Name of forked game.
+	 * @param {string} code	Code of forked game.
+	 * @returns {Drafts} Drafts of forked game.
+	 */
+	fork(name, code) {
+		this.clearDraft();
+		var drafts = new Drafts(name);
+		drafts.store({draft: null, revisions: this.getRevisions()});
+		drafts.addRevision(code, "Forked from " + (this.name || "new game"));
+		return drafts;
+	}
+
+	/**
+	 * Compares two versions of code line by line.
+	 *
+	 * @param {string} before	Older code.
+	 * @param {string} after	Newer code.
+	 * @returns {DiffLine[]} Lines of both versions in order.
+	 */
+	static diff(before, after) {
+		var a = before.split("\n");
+		var b = after.split("\n");
+
+		// Same lines at start and end are not compared
+		var start = 0;
+		while (start < a.length && start < b.length && a[start] == b[start]) {
+			start++;
+		}
+		var end = 0;
+		while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] == b[b.length - 1 - end]) {
+			end++;
+		}
+		var oldLines = a.slice(start, a.length - end);
+		var newLines = b.slice(start, b.length - end);
+
+		var lines = a.slice(0, start).map(function(text) {
+			return {type: "same", text: text};
+		});
+		if (oldLines.length * newLines.length > Drafts.DIFF_LIMIT) {
+			// Too long to compare, whole changed part is replaced
+			lines = lines.concat(oldLines.map(function(text) {
+				return {type: "removed", text: text};
+			}), newLines.map(function(text) {
+				return {type: "added", text: text};
+			}));
+		} else {
+			lines = lines.concat(Drafts.compare(oldLines, newLines));
+		}
+		return lines.concat(a.slice(a.length - end).map(function(text) {
+			return {type: "same", text: text};
+		}));
+	}
+
+	/**
+	 * Compares lines with longest common subsequence.
+	 *
+	 * @param {string[]} a	Older lines.
+	 * @param {string[]} b	Newer lines.
+	 * @returns {DiffLine[]} Lines of both versions in order.
+	 */
+	static compare(a, b) {
+		// common[i][j] is length of longest common subsequence of a from i and b from j
+		var common = [];
+		for (var i = a.length; i >= 0; i--) {
+			common[i] = [];
+			for (var j = b.length; j >= 0; j--) {
+				if (i == a.length || j == b.length) {
+					common[i][j] = 0;
+				} else if (a[i] == b[j]) {
+					common[i][j] = common[i + 1][j + 1] + 1;
+				} else {
+					common[i][j] = Math.max(common[i + 1][j], common[i][j + 1]);
+				}
+			}
+		}
+
+		var lines = [];
+		i = 0;
+		j = 0;
+		while (i < a.length || j < b.length) {
+			if (i < a.length && j < b.length && a[i] == b[j]) {
+				lines.push({type: "same", text: a[i]});
+				i++;
+				j++;
+			} else if (i < a.length && (j == b.length || common[i + 1][j] >= common[i][j + 1])) {
+				lines.push({type: "removed", text: a[i]});
+				i++;
+			} else {
+				lines.push({type: "added", text: b[j]});
+				j++;
+			}
+		}
+		return lines;
+	}
+}
+
+/** Prefix of keys of local storage. */
+Drafts.PREFIX = "ne-drafts:";
+/** Maximal number of revisions of one game. */
+Drafts.LIMIT = 50;
+/** Maximal product of numbers of changed lines that are compared line by line. */
+Drafts.DIFF_LIMIT = 1000000;
+
+/**
+ * Saved version of code.
+ *
+ * @typedef {Object} Revision
+ * @property {string} code	Code of game.
+ * @property {number} time	Timestamp of revision in milliseconds.
+ * @property {string} label	Short description of revision.
+ */
+
+/**
+ * Line of comparison of two versions of code.
+ *
+ * @typedef {Object} DiffLine
+ * @property {string} type	"same", "added" or "removed".
+ * @property {string} text	Text of line.
+ */
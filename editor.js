@@ -0,0 +1,478 @@
+/**
+ * Description of Ne API read from JSDoc comments of ne.js. It knows classes,
+ * their static and instance members, enums and constants, so editor can
+ * complete them and show their signatures.
+ *
+ * @property {Object.<string, ApiOwner>} owners	Classes and objects of Ne by their names.
+ * @since 1.1.0
+ */
+class ApiDocs {
+
+	/**
+	 * Constructor for ApiDocs. It is empty until source is parsed.
+	 */
+	constructor() {
+		this.owners = {};
+	}
+
+	/**
+	 * Reads classes, enums, constants and their documented members from source of ne.js.
+	 *
+	 * @param {string} source	Source code of ne.js.
+	 */
+	parse(source) {
+		var owner = null;
+		var comment = null;
+		var doc = null;
+
+		source.split("\n").forEach(function(line) {
+			// Comment ends and the next may begin on the same line, for example "}/**" or " *//**"
+			if (comment !== null) {
+				var end = line.indexOf("*/");
+				if (end == -1) {
+					comment.push(line);
+					return;
+				}
+				comment.push(line.slice(0, end));
+				doc = ApiDocs.parseComment(comment);
+				comment = null;
+				line = line.slice(end + 2);
+			}
+			var start = line.indexOf("/**");
+			if (start != -1) {
+				var rest = line.slice(start + 3);
+				if (rest.indexOf("*/") != -1) {
+					// One line comment of constant
+					doc = ApiDocs.parseComment([rest.slice(0, rest.indexOf("*/"))]);
+				} else {
+					comment = [rest];
+				}
+				return;
+			}
+
+			var match;
+			if ((match = /^class (\w+)(?: extends (\w+))?/.exec(line))) {
+				owner = this.addOwner(match[1], "class", doc, match[2]);
+			} else if ((match = /^const (\w+) = (?:Object\.freeze\()?\{/.exec(line))) {
+				owner = this.addOwner(match[1], "object", doc);
+			} else if ((match = /^(\w+)\.prototype\.(\w+) = function \w*\(([^)]*)\)/.exec(line))) {
+				this.addMember(this.owners[match[1]], match[2], {params: match[3], doc: doc});
+			} else if (/^}/.test(line)) {
+				owner = null;
+			} else if (owner && owner.kind == "object" && (match = /^\t(\w+):/.exec(line))) {
+				this.addMember(owner, match[1], {isStatic: true, doc: doc});
+			} else if (owner && owner.kind == "class" && (match = /^\s+(static\s+)?(get\s+)?(\w+)\s*\(([^)]*)\)\s*\{/.exec(line))) {
+				if (match[3] == "constructor") {
+					owner.params = match[4];
+				} else if (doc && ApiDocs.KEYWORDS.indexOf(match[3]) == -1) {
+					// Only documented members are part of API
+					this.addMember(owner, match[3], {
+						isStatic: !!match[1],
+						params: match[2] ? null : match[4],
+						doc: doc
+					});
+				}
+			} else if (line.trim() === "") {
+				return;
+			}
+			doc = null;
+		}.bind(this));
+	}
+
+	/**
+	 * Reads description, parameters and return value from lines of doc comment.
+	 *
+	 * @param {string[]} lines	Lines of comment without its start and end.
+	 * @returns {{description: string, returns: string, properties: Object[]}} Parsed comment.
+	 */
+	static parseComment(lines) {
+		var description = [];
+		var returns = null;
+		var properties = [];
+		var tags = false;
+		lines.forEach(function(line) {
+			line = line.replace(/^\s*\*?\s?/, "").trim();
+			var match = /^@returns?\s+(?:\{([^}]*)\})?\s*(.*)/.exec(line);
+			if (match) {
+				returns = match[1] || match[2];
+			}
+			match = /^@property\s+\{([^}]*)\}\s+\[?(\w+)[^\s]*\s*(.*)/.exec(line);
+			if (match) {
+				properties.push({name: match[2], returns: match[1], description: match[3]});
+			}
+			if (line.charAt(0) == "@") {
+				tags = true;
+			} else if (!tags && line) {
+				description.push(line);
+			}
+		});
+		return {description: description.join(" "), returns: returns, properties: properties};
+	}
+
+	/**
+	 * Adds class or object to API. Properties from its doc comment are added as members of instances.
+	 *
+	 * @param {string} name				Name of class or object.
+	 * @param {string} kind				"class" or "object".
+	 * @param {Object} [doc]			Parsed doc comment.
+	 * @param {string} [parent]			Name of parent class.
+	 * @returns {ApiOwner} New owner.
+	 */
+	addOwner(name, kind, doc, parent) {
+		this.owners[name] = {
+			name: name,
+			kind: kind,
+			parent: parent || null,
+			params: null,
+			description: doc ? doc.description : "",
+			members: {}
+		};
+		if (doc && kind == "class") {
+			doc.properties.forEach(function(property) {
+				this.addMember(this.owners[name], property.name, {doc: property});
+			}.bind(this));
+		}
+		return this.owners[name];
+	}
+
+	/**
+	 * Adds member to class or object.
+	 *
+	 * @param {ApiOwner} owner		Class or object of member.
+	 * @param {string} name			Name of member.
+	 * @param {Object} options		Parameters (null for properties), if member is static and doc comment.
+	 */
+	addMember(owner, name, options) {
+		if (!owner) {
+			return;
+		}
+		owner.members[name] = {
+			name: name,
+			owner: owner.name,
+			isStatic: !!options.isStatic,
+			params: (options.params === undefined) ? null : options.params,
+			description: options.doc ? options.doc.description : "",
+			returns: options.doc ? options.doc.returns : null
+		};
+	}
+
+	/**
+	 * Returns members of class or object including inherited ones.
+	 *
+	 * @param {string} name			Name of class or object.
+	 * @param {boolean} isStatic	True for static members, false for members of instances.
+	 * @returns {ApiMember[]} Members.
+	 */
+	membersOf(name, isStatic) {
+		var members = [];
+		var names = new Set();
+		for (var owner = this.owners[name]; owner; owner = this.owners[owner.parent]) {
+			Object.keys(owner.members).forEach(function(key) {
+				var member = owner.members[key];
+				if (member.isStatic == isStatic && !names.has(key)) {
+					names.add(key);
+					members.push(member);
+				}
+			});
+		}
+		return members;
+	}
+
+	/**
+	 * Returns members of instances of all classes, each name only once.
+	 *
+	 * @returns {ApiMember[]} Members.
+	 */
+	instanceMembers() {
+		var members = [];
+		var names = new Set();
+		Object.keys(this.owners).forEach(function(name) {
+			this.membersOf(name, false).forEach(function(member) {
+				if (!names.has(member.name)) {
+					names.add(member.name);
+					members.push(member);
+				}
+			});
+		}.bind(this));
+		return members;
+	}
+
+	/**
+	 * Returns signature of member, for example "newRightRoom(size = 100, checkFunction) → Room".
+	 *
+	 * @param {ApiMember} member	Member of class or object.
+	 * @returns {string} Signature.
+	 */
+	static signature(member) {
+		var text = member.name;
+		if (member.params !== null) {
+			text += "(" + member.params + ")";
+		}
+		if (member.returns) {
+			text += " → " + member.returns;
+		}
+		return text;
+	}
+}
+
+/** Words that look like methods in source, but they are not. */
+ApiDocs.KEYWORDS = ["if", "for", "while", "switch", "catch", "function", "return"];
+
+/**
+ * Class or object of Ne API.
+ *
+ * @typedef {Object} ApiOwner
+ * @property {string} name					Name of class or object.
+ * @property {string} kind					"class" or "object".
+ * @property {string} parent				Name of parent class or null.
+ * @property {string} params				Parameters of constructor or null.
+ * @property {string} description			Description from doc comment.
+ * @property {Object.<string, ApiMember>} members	Documented members by their names.
+ */
+
+/**
+ * Member of class or object of Ne API.
+ *
+ * @typedef {Object} ApiMember
+ * @property {string} name			Name of member.
+ * @property {string} owner			Name of class or object of member.
+ * @property {boolean} isStatic		True for static members, enum values and constants.
+ * @property {string} params		Parameters of method or null for properties.
+ * @property {string} description	Description from doc comment.
+ * @property {string} returns		Type of returned value or null.
+ */
+
+/**
+ * Code editor of the IDE. It highlights JavaScript, numbers lines, indents code,
+ * completes Ne API and marks lines with errors reported by running game.
+ * It uses CodeMirror, which has to be loaded before.
+ *
+ * @property {Object} codeMirror	Instance of CodeMirror.
+ * @property {ApiDocs} api			Ne API used for completion.
+ * @property {Object[]} errors		Lines marked with errors.
+ * @since 1.1.0
+ */
+class Editor {
+
+	/**
+	 * Constructor for Editor. It replaces textarea with editor.
+	 *
+	 * @param {Object} textarea	Textarea with code.
+	 * @param {string} [apiUrl = "ne.js"]	Url of ne.js, its doc comments are used for completion.
+	 */
+	constructor(textarea, apiUrl = "ne.js") {
+		this.api = new ApiDocs();
+		this.errors = [];
+		this.codeMirror = CodeMirror.fromTextArea(textarea, {
+			mode: "javascript",
+			lineNumbers: true,
+			indentUnit: 4,
+			smartIndent: true,
+			matchBrackets: true,
+			autoCloseBrackets: true,
+			gutters: ["CodeMirror-linenumbers", "editor-errors"],
+			extraKeys: {
+				"Ctrl-Space": this.complete.bind(this)
+			}
+		});
+		this.codeMirror.on("inputRead", function(codeMirror, change) {
+			// Complete after dot and while name is typed
+			if (/^[\w.]$/.test(change.text[0]) && !codeMirror.state.completionActive) {
+				this.complete();
+			}
+		}.bind(this));
+
+		fetch(apiUrl).then(function(response) {
+			return response.text();
+		}).then(function(source) {
+			this.api.parse(source);
+		}.bind(this)).catch(function(error) {
+			console.warn("Ne API is not available for completion: " + error);
+		});
+	}
+
+	/**
+	 * Returns code in editor.
+	 *
+	 * @returns {string} Code.
+	 */
+	getValue() {
+		return this.codeMirror.getValue();
+	}
+
+	/**
+	 * Replaces code in editor.
+	 *
+	 * @param {string} code	New code.
+	 */
+	setValue(code) {
+		this.codeMirror.setValue(code);
+		this.clearErrors();
+	}
+
+	/**
+	 * Adds listener that is called when user changes code. Code replaced with setValue is not a change of user.
+	 *
+	 * @param {function} callback	Function that is called with code.
+	 */
+	onChange(callback) {
+		this.codeMirror.on("change", function(codeMirror, change) {
+			if (change.origin != "setValue") {
+				callback(this.getValue());
+			}
+		}.bind(this));
+	}
+
+	/**
+	 * Shows completion of Ne API at cursor.
+	 */
+	complete() {
+		this.codeMirror.showHint({
+			hint: this.hint.bind(this),
+			completeSingle: false
+		});
+	}
+
+	/**
+	 * Finds completions of word before cursor. After dot members of class, object or
+	 * instance are completed, otherwise names of classes and objects.
+	 *
+	 * @param {Object} codeMirror	Instance of CodeMirror.
+	 * @returns {Object} Completions in format of CodeMirror show-hint addon or null.
+	 */
+	hint(codeMirror) {
+		var cursor = codeMirror.getCursor();
+		var token = codeMirror.getTokenAt(cursor);
+		if (token.type == "comment" || token.type == "string") {
+			return null;
+		}
+		var text = codeMirror.getLine(cursor.line).slice(0, cursor.ch);
+		var match = /(?:([\w$]+)\.)?([\w$]*)$/.exec(text);
+		var prefix = match[2].toLowerCase();
+
+		var members;
+		if (match[1]) {
+			members = this.membersOf(match[1]);
+		} else if (prefix) {
+			members = this.globals();
+		} else {
+			return null;
+		}
+		var list = members.filter(function(member) {
+			return member.name.toLowerCase().indexOf(prefix) == 0;
+		}).map(function(member) {
+			return {
+				text: member.name,
+				displayText: ApiDocs.signature(member),
+				render: function(element) {
+					element.textContent = ApiDocs.signature(member);
+					element.title = (member.owner ? member.owner + ": " : "") + member.description;
+				}
+			};
+		});
+		if (list.length == 0) {
+			return null;
+		}
+		return {
+			list: list,
+			from: CodeMirror.Pos(cursor.line, cursor.ch - match[2].length),
+			to: cursor
+		};
+	}
+
+	/**
+	 * Returns members that can follow name and dot. Names of classes and objects give
+	 * their static members, names of variables give members of their guessed class.
+	 *
+	 * @param {string} name	Name before dot.
+	 * @returns {ApiMember[]} Members.
+	 */
+	membersOf(name) {
+		if (name in this.api.owners) {
+			return this.api.membersOf(name, true);
+		}
+		var type = this.guessType(name);
+		if (type) {
+			return this.api.membersOf(type, false);
+		}
+		return this.api.instanceMembers();
+	}
+
+	/**
+	 * Returns names of classes, objects and arguments of function start.
+	 *
+	 * @returns {ApiMember[]} Globals as members without owner.
+	 */
+	globals() {
+		var globals = Object.keys(this.api.owners).map(function(name) {
+			var owner = this.api.owners[name];
+			return {name: name, owner: null, params: null, description: owner.description, returns: null};
+		}.bind(this));
+		Object.keys(Editor.variables).forEach(function(name) {
+			globals.push({name: name, owner: null, params: null, description: "Instance of " + Editor.variables[name], returns: null});
+		});
+		return globals;
+	}
+
+	/**
+	 * Guesses class of variable from its name. Name has to end with name of class,
+	 * for example "room", "goalRoom" and "room2" are Room.
+	 *
+	 * @param {string} name	Name of variable.
+	 * @returns {string} Name of class or null if it is not known.
+	 */
+	guessType(name) {
+		if (name in Editor.variables) {
+			return Editor.variables[name];
+		}
+		var lower = name.toLowerCase().replace(/\d+$/, "");
+		var type = null;
+		Object.keys(this.api.owners).forEach(function(owner) {
+			var longer = !type || owner.length > type.length;
+			if (this.api.owners[owner].kind == "class" && lower.endsWith(owner.toLowerCase()) && longer) {
+				type = owner;
+			}
+		}.bind(this));
+		return type;
+	}
+
+	/**
+	 * Marks line with error, message is shown as title of mark.
+	 *
+	 * @param {number} line		Line of error, first line is 1.
+	 * @param {string} message	Message of error.
+	 */
+	markError(line, message) {
+		var index = line - 1;
+		if (!(index >= 0 && index < this.codeMirror.lineCount())) {
+			return;
+		}
+		var marker = document.createElement("div");
+		marker.className = "editor-error";
+		marker.textContent = "●";
+		marker.title = message;
+		this.codeMirror.setGutterMarker(index, "editor-errors", marker);
+		var handle = this.codeMirror.addLineClass(index, "background", "editor-error-line");
+		this.errors.push(handle);
+	}
+
+	/**
+	 * Removes all marks of errors.
+	 */
+	clearErrors() {
+		this.codeMirror.clearGutter("editor-errors");
+		this.errors.forEach(function(handle) {
+			this.codeMirror.removeLineClass(handle, "background", "editor-error-line");
+		}.bind(this));
+		this.errors = [];
+	}
+}
+
+/** Classes of arguments of function start and other common names of variables. */
+Editor.variables = {
+	mainGame: "Game",
+	mainRoom: "Room",
+	mainPlayer: "Player",
+	game: "Game",
+	player: "Player"
+};
@@ -6,5 +6,5 @@
     $filename = "uploads/".$name.".txt";
 
     
-    echo  "<html><head><style>* {margin: 0;padding: 0;}</style><script src='ne.js'></script></head><body><script>function start() {" .file_get_contents($filename)."}</script></body></html>";
+    echo  "<html><head><style>* {margin: 0;padding: 0;}</style><script src='ne.js'></script></head><body><script>function start(mainGame, mainRoom, mainPlayer) {" .file_get_contents($filename)."\n}\n//# sourceURL=script.js\n</script></body></html>";
 ?>
\ No newline at end of file
@@ -32,393 +32,4391 @@ const DoorConstants = {
 	/** Thickness of doors in percents */
 	THICKNESS: 0.01,
 	/** Maximum number of doors that can be placed in one room */
-	MAX_NUMBER: 4
+	MAX_NUMBER: 4,
+	/** Color of open doors */
+	COLOR: "#000",
+	/** Color of doors that check if player can pass */
+	CONDITIONAL_COLOR: "#c80",
+	/** Color of locked doors */
+	LOCKED_COLOR: "#c00"
 };
 
 /**
- * Main game object that controlls user, gameplay, rooms.
- * 
- * @property {Room}	currentRoom Object of current displayed room.
- * @property {Room} lastRoom For purpose of changing room this holds last doors.
- * @property {Object} canvas Canvas where game is drawn.
- * @since 1.0.0
+ * Object for 'constants' about player. We do not freeze this object, because we allow user to set his own constants. 
  */
-class Game {
-	
-	/**
-	 * Constructor for Game.
-	 * 
-	 * @param {Object} container Dom object where canvas should be placed. 
-	 */
-	constructor(container) {
-		//HACK: Firefox min-body height depends on its content
-		document.body.style.minHeight = "100vh";
-		document.body.style.height = "100vh";
+const PlayerConstants = {
+	/** Health of player at the beginning of each life */
+	HEALTH: 3,
+	/** Number of lives player has at the beginning of game */
+	LIVES: 3,
+	/** Number of seconds player can not be hurt after it was hit */
+	INVULNERABILITY: 1
+};
 
-		this.container = container;
-		this.canvas = document.createElement("canvas");
-		container.appendChild(this.canvas);
-		this.context = this.canvas.getContext("2d");
+/**
+ * Object for 'constants' about game loop. We do not freeze this object, because we allow user to set his own constants. 
+ */
+const GameConstants = {
+	/** Length of one simulation step in seconds */
+	TIME_STEP: 1 / 60,
+	/** Maximum time in seconds simulated in one animation frame, so game does not freeze after long pause */
+	MAX_FRAME_TIME: 0.25
+};
 
-		// Resize canvas to fit inside container
-		this.resizeCanvas();
+/**
+ * Object for 'constants' about text. We do not freeze this object, because we allow user to set his own constants. 
+ */
+const TextConstants = {
+	/** Font of all texts */
+	FONT: "Tahoma",
+	/** Size of font in percents of smaller side of canvas */
+	SIZE: 0.035,
+	/** Minimal size of font in pixels */
+	MIN_SIZE: 10,
+	/** Color of text in message box */
+	COLOR: "#fff",
+	/** Color of message box */
+	BOX_COLOR: "rgba(0, 0, 0, 0.8)",
+	/** Color of room title */
+	TITLE_COLOR: "#000",
+	/** Number of seconds room title is shown */
+	TITLE_DURATION: 2
+};
 
-		// If the container is resized, resize canvas accordingly
-		this.container.onresize = function() {
-			this.resizeCanvas();
-		}.bind(this);
+/**
+ * Object for 'constants' about sound. We do not freeze this object, because we allow user to set his own constants. 
+ */
+const SoundConstants = {
+	/** Volume of background music from 0 to 1 */
+	MUSIC_VOLUME: 0.5,
+	/** Synthesized effects by their names, scripts can add their own */
+	EFFECTS: {
+		door: [{wave: "sine", frequency: 300, slide: 600, duration: 0.15}],
+		pickup: [{frequency: 660, duration: 0.08}, {frequency: 990, duration: 0.12, delay: 0.08}],
+		hit: [{wave: "sawtooth", frequency: 220, slide: 60, duration: 0.25}],
+		gameover: [
+			{wave: "triangle", frequency: 392, duration: 0.25, volume: 0.3},
+			{wave: "triangle", frequency: 330, duration: 0.25, delay: 0.25, volume: 0.3},
+			{wave: "triangle", frequency: 262, duration: 0.25, delay: 0.5, volume: 0.3},
+			{wave: "triangle", frequency: 196, duration: 0.8, delay: 0.75, volume: 0.3}
+		],
+		victory: [
+			{wave: "square", frequency: 523, duration: 0.12, volume: 0.3},
+			{wave: "square", frequency: 659, duration: 0.12, delay: 0.12, volume: 0.3},
+			{wave: "square", frequency: 784, duration: 0.12, delay: 0.24, volume: 0.3},
+			{wave: "square", frequency: 1047, duration: 0.6, delay: 0.36, volume: 0.3}
+		],
+		restart: [
+			{frequency: 262, duration: 0.08},
+			{frequency: 330, duration: 0.08, delay: 0.08},
+			{frequency: 392, duration: 0.08, delay: 0.16},
+			{frequency: 523, duration: 0.2, delay: 0.24}
+		]
+	}
+};
 
-		// Add main room
-		this.currentRoom = new Room(1);
+/**
+ * Static object that loads images used by items, rooms and doors. Images are identified
+ * by their urls, so levels can be saved with their appearance. Game waits until all
+ * requested images are loaded before simulation starts.
+ *
+ * @since 1.1.0
+ */
+class Assets {
+
+	/**
+	 * Returns image of url. Image starts loading when it is requested for the first time.
+	 * Nothing waits for it, image is simply not drawn until it is loaded.
+	 *
+	 * @param {string} url Url of image.
+	 * @returns {Object} Image element.
+	 */
+	static image(url) {
+		if (!(url in Assets.images)) {
+			var image = new Image();
+			Assets.images[url] = image;
+			Assets.requests[url] = new Promise(function(resolve) {
+				image.onload = function() {
+					resolve(image);
+				};
+				image.onerror = function() {
+					Logger.error("Image can not be loaded", url);
+					resolve(image);
+				};
+			});
+			image.src = url;
+		}
+		return Assets.images[url];
 	}
 
 	/**
-	 * Resize canvas to fit inside this.container
+	 * Starts loading of images. Empty urls are skipped.
+	 *
+	 * @param {string[]} urls Urls of images.
+	 * @returns {Promise} Promise that is resolved when all images are loaded or failed to load.
 	 */
-	resizeCanvas() {
-		var containerSize = this.container.getBoundingClientRect();
-		this.canvas.width = containerSize.width;
-		this.canvas.height = containerSize.height;
+	static preload(urls) {
+		return Promise.all(urls.filter(function(url) {
+			return url;
+		}).map(function(url) {
+			Assets.image(url);
+			return Assets.requests[url];
+		}));
 	}
 
 	/**
-	 * Change current room. This function is called when user leaves current room. 
+	 * Checks if image of url is loaded and can be drawn.
 	 *
-	 * @param {Room} room New room to be shown.
+	 * @param {string} url Url of image.
+	 * @returns {boolean} True if image is loaded.
 	 */
-	changeCurrentRoom(room) {
-		this.lastRoom = this.currentRoom;
-		this.currentRoom = room;
+	static loaded(url) {
+		var image = Assets.image(url);
+		return image.complete && image.naturalWidth > 0;
 	}
-	
+
 	/**
-	 * Updates current room and all of its objects. 
-	 * Function is called on animation frame.
+	 * Draws image stretched to rectangle if it is loaded.
+	 *
+	 * @param {Object} context	2D context of Canvas
+	 * @param {string} url		Url of image.
+	 * @param {number} x		X coordinate of rectangle in pixels.
+	 * @param {number} y		Y coordinate of rectangle in pixels.
+	 * @param {number} width	Width of rectangle in pixels.
+	 * @param {number} height	Height of rectangle in pixels.
+	 * @returns {boolean} True if image was drawn.
 	 */
-	update() {
-		this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
-		this.currentRoom.draw(this.context, this.canvas.width, this.canvas.height);
-		window.requestAnimationFrame(this.update.bind(this));
+	static drawImage(context, url, x, y, width, height) {
+		if (!Assets.loaded(url)) {
+			return false;
+		}
+		context.drawImage(Assets.image(url), x, y, width, height);
+		return true;
 	}
-}/**
- * Enum for moving type. 
- * @enum {number}
+}
+
+/** Images by their urls. */
+Assets.images = {};
+/** Promises of loading of images by their urls. */
+Assets.requests = {};
+
+/**
+ * Spritesheet of item. Frames are in rows of image, each frame has the same size.
+ * By default each row is animation of one direction: left, up, right and down.
+ *
+ * @typedef {Object} SpriteData
+ * @property {string} image								Url of spritesheet.
+ * @property {number} width								Width of one frame in pixels.
+ * @property {number} height							Height of one frame in pixels.
+ * @property {Object.<Direction, number[]>} [frames]	Indices of frames for each direction, counted by rows from top left frame.
+ * @property {number} [fps = 8]							Number of frames shown in one second.
  */
-const Moving = Object.freeze({
-	/** Moving is changed by user request */
-	FREE: 0,
-	/** Random direction. */
-	RANDOM:	1,
-	/** Moving in vertical direction */
-	VERTICAL: 2,
-	/** Moving from in horizontal direction. */
-	HORIZONTAL: 3,
-	/** Following the user. */
-	FOLLOWING: 4,
-	/** Hiding from user, to be hard to catch. */
-	HIDING: 5,
-	/**  Item is not moving. */
-	FIXED: 6
-});
 
 /**
- * Interface for items that are placed in room. 
+ * Camera shows part of the room on canvas. It follows the player through rooms
+ * that are larger than the screen and stops at the edges of room.
+ * Rooms smaller than the screen are shown in the center of canvas.
  *
- * @property {number} width  Width of item in percents.
- * @property {number} height Height of item in percents.
- * @property {number} x      X coordinate of item in percents.
- * @property {number} y      Y coordinate of item in percents.
- * @property {Moving} moving Moving type of item.
- * @since 1.0.0
+ * @property {number} zoom		Zoom of camera, on zoom 1 shorter side of canvas shows 100 % of room.
+ * @property {number} deadZone	Part of the screen (from 0 to 1) where target can move without moving the camera.
+ * @property {number} smoothing	Time in seconds in which camera catches up with target, 0 moves camera immediately.
+ * @property {Item} target		Item that camera follows, player of the game if it is null.
+ * @property {number} x			X coordinate of center of view in percents.
+ * @property {number} y			Y coordinate of center of view in percents.
+ * @since 1.1.0
  */
-class Item {
-	
+class Camera {
+
 	/**
-	 * Constructor of class Item
-	 *
-	 * @param {number} width  Width of item in percents.
-	 * @param {number} height Height of item in percents. 
+	 * Constructor for Camera.
 	 */
-	constructor(width, height) {
-		this.moving = Moving.RANDOM;
-		this.width = width;
-		this.height = height;
+	constructor() {
+		this.zoom = 1;
+		this.deadZone = 0.2;
+		this.smoothing = 0.15;
+		// Shaking is only visual, so it does not use random generator of the game
+		this.random = new Random();
+		this.reset();
+	}
+
+	/**
+	 * Stops panning and shaking and forgets target. Settings of camera are kept.
+	 */
+	reset() {
+		this.target = null;
+		this.room = null;
 		this.x = 0;
 		this.y = 0;
+		this.panning = null;
+		this.shaking = null;
+		this.offsetX = 0;
+		this.offsetY = 0;
 	}
-	
+
 	/**
-	 * Places item in room.  It is called when we place
-	 * item in room before first update call.
+	 * Follows item. Camera follows player of the game if item is not given.
 	 *
-	 * @param {Room} room Room where item is located.
+	 * @param {Item} [item] Item to follow.
 	 */
-	place(room) {
-		this.x = Math.random() * (room.size - this.width);
-		this.y = Math.random() * (room.size - this.width);
+	follow(item) {
+		this.target = item || null;
+		this.panning = null;
 	}
-	
+
 	/**
-	 * Updates location and other properties of item.
-	 * It is called on animation frame.
+	 * Moves camera to position and keeps it there until follow is called.
 	 *
-	 * @param {Room} room Room where item is located.
+	 * @param {number} x				X coordinate of center of view in percents (form 0 % to 100 %).
+	 * @param {number} y				Y coordinate of center of view in percents (form 0 % to 100 %).
+	 * @param {number} [duration = 1]	Duration of movement in seconds.
 	 */
-	update(room) {
+	pan(x, y, duration = 1) {
+		this.panning = {fromX: this.x, fromY: this.y, toX: x / 100, toY: y / 100, time: 0, duration: duration};
 	}
-	
+
 	/**
-	 * Draws object on canvas.
-	 * 
-	 * @param {Object} context	2D context of Canvas
-	 * @param {number} size		Size of canvas in pixels
+	 * Shakes camera, for example when player is hit.
+	 *
+	 * @param {number} [strength = 2]		Largest distance of shake in percents.
+	 * @param {number} [duration = 0.5]	Duration of shaking in seconds.
 	 */
-	draw(context, size) {
-		context.beginPath();
-		context.fillRect(this.x * size, this.y * size, this.width * size, this.height * size)
-		context.fill();
+	shake(strength = 2, duration = 0.5) {
+		this.shaking = {strength: strength / 100, time: 0, duration: duration};
 	}
-}/**
- * Static object for logging data and errors.
- * It supports multiple levels of error logging.
- *
- * @since 1.0.0
- */
-class Logger {
 
 	/**
-	 * Logs arguments received to console separated by spaces.
+	 * Returns size of the part of room that is visible on canvas.
 	 *
-	 * @param {Array} args	Arguments to log to console
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 * @returns {Object} Width and height of view in percents.
 	 */
-	static log(...args) {
-		console.log("[LOG] " + args.join(": "));
+	getSize(width, height) {
+		var scale = Math.min(width, height) * this.zoom;
+		return {width: width / scale, height: height / scale};
 	}
 
 	/**
-	 * Logs arguments received to console separated by spaces.
+	 * Moves camera for one simulation step.
 	 *
-	 * @param {Array} args	Arguments to log to console
+	 * @param {Game} game	Game of camera.
+	 * @param {number} dt	Length of simulation step in seconds.
 	 */
-	static error(...args) {
-		console.error("[ERROR] " + args.join(": "));
+	update(game, dt) {
+		var room = game.currentRoom;
+		var size = this.getSize(game.canvas.width, game.canvas.height);
+		var target = this.target || game.player;
+		var visible = target && target.room == room;
+
+		if (room != this.room) {
+			// Jump to target in new room
+			this.room = room;
+			this.panning = null;
+			this.x = visible ? target.x + target.width / 2 : room.width / 2;
+			this.y = visible ? target.y + target.height / 2 : room.height / 2;
+		} else if (this.panning) {
+			var pan = this.panning;
+			pan.time = Math.min(pan.duration, pan.time + dt);
+			var progress = (pan.duration > 0) ? pan.time / pan.duration : 1;
+			this.x = pan.fromX + (pan.toX - pan.fromX) * progress;
+			this.y = pan.fromY + (pan.toY - pan.fromY) * progress;
+		} else if (visible) {
+			// Camera moves only when target leaves dead zone
+			var centerX = target.x + target.width / 2;
+			var centerY = target.y + target.height / 2;
+			var zoneX = size.width * this.deadZone / 2;
+			var zoneY = size.height * this.deadZone / 2;
+			var goalX = Math.min(centerX + zoneX, Math.max(centerX - zoneX, this.x));
+			var goalY = Math.min(centerY + zoneY, Math.max(centerY - zoneY, this.y));
+			var factor = (this.smoothing > 0) ? 1 - Math.exp(-dt / this.smoothing) : 1;
+			this.x += (goalX - this.x) * factor;
+			this.y += (goalY - this.y) * factor;
+		}
+		this.clamp(room, size);
+
+		this.offsetX = 0;
+		this.offsetY = 0;
+		if (this.shaking) {
+			var shake = this.shaking;
+			shake.time += dt;
+			if (shake.time >= shake.duration) {
+				this.shaking = null;
+			} else {
+				var strength = shake.strength * (1 - shake.time / shake.duration);
+				this.offsetX = this.random.range(-strength, strength);
+				this.offsetY = this.random.range(-strength, strength);
+			}
+		}
 	}
 
 	/**
-	 * Logs arguments received to console separated by spaces.
+	 * Keeps view inside the room. Room smaller than view is centered.
 	 *
-	 * @param {Array} args	Arguments to log to console
+	 * @param {Room} room	Room that is shown.
+	 * @param {Object} size	Size of view returned by getSize.
 	 */
-	static debug(...args) {
-		console.debug("[DEBUG] " + args.join(": "));
+	clamp(room, size) {
+		if (room.width <= size.width) {
+			this.x = room.width / 2;
+		} else {
+			this.x = Math.min(room.width - size.width / 2, Math.max(size.width / 2, this.x));
+		}
+		if (room.height <= size.height) {
+			this.y = room.height / 2;
+		} else {
+			this.y = Math.min(room.height - size.height / 2, Math.max(size.height / 2, this.y));
+		}
 	}
 
 	/**
-	 * Logs arguments received to console separated by spaces.
+	 * Returns view of room for drawing. Room that camera did not visit yet is shown from its center.
 	 *
-	 * @param {Array} args	Arguments to log to console
+	 * @param {Room} room		Room that is shown.
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 * @returns {CameraView} View of room.
 	 */
-	static info(...args) {
-		console.info("[INFO] " + args.join(": "));
+	getView(room, width, height) {
+		if (room != this.room) {
+			return Camera.fit(room, width, height, this.zoom);
+		}
+		return Camera.view(this.x + this.offsetX, this.y + this.offsetY, width, height, this.zoom);
 	}
 
 	/**
-	 * Logs arguments received to console separated by spaces.
+	 * Returns view with center of room in the center of canvas.
 	 *
-	 * @param {Array} args	Arguments to log to console
+	 * @param {Room} room			Room that is shown.
+	 * @param {number} width		Width of canvas in pixels.
+	 * @param {number} height		Height of canvas in pixels.
+	 * @param {number} [zoom = 1]	Zoom of view.
+	 * @returns {CameraView} View of room.
 	 */
-	static warn(...args) {
-		console.warn("[WARNING] " + args.join(": "));
+	static fit(room, width, height, zoom = 1) {
+		return Camera.view(room.width / 2, room.height / 2, width, height, zoom);
 	}
 
-}/** 
- * Holds instance of main game.
- * 
- * @global
- * @type {Game}
- */
-var mainGame;
+	/**
+	 * Returns view with center on position.
+	 *
+	 * @param {number} x		X coordinate of center of view.
+	 * @param {number} y		Y coordinate of center of view.
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 * @param {number} zoom		Zoom of view.
+	 * @returns {CameraView} View of room.
+	 */
+	static view(x, y, width, height, zoom) {
+		var scale = Math.min(width, height) * zoom;
+		return {
+			scale: scale,
+			left: width / 2 - x * scale,
+			top: height / 2 - y * scale,
+			x: x - width / scale / 2,
+			y: y - height / scale / 2,
+			width: width / scale,
+			height: height / scale
+		};
+	}
 
-/** 
- * Holds instance of first room created
- * @global
- * @type {Room}
- */
-var mainRoom;
+	/**
+	 * Checks if item is at least partly inside view.
+	 *
+	 * @param {CameraView} view	View of room.
+	 * @param {Item} item		Item to check.
+	 * @returns {boolean} True if item can be seen.
+	 */
+	static sees(view, item) {
+		return item.x < view.x + view.width && view.x < item.x + item.width &&
+			item.y < view.y + view.height && view.y < item.y + item.height;
+	}
+}
 
 /**
- * Creates new game in body of document.
+ * Part of room that is drawn on canvas.
+ *
+ * @typedef {Object} CameraView
+ * @property {number} scale		Number of pixels of 100 % of room.
+ * @property {number} left		Left side of room on canvas in pixels.
+ * @property {number} top		Top side of room on canvas in pixels.
+ * @property {number} x			X coordinate of left side of view in percents.
+ * @property {number} y			Y coordinate of top side of view in percents.
+ * @property {number} width		Width of view in percents.
+ * @property {number} height	Height of view in percents.
  */
-document.addEventListener("DOMContentLoaded", startNewGame, false);
 
-function startNewGame () {
-	mainPlayer = Items.player();
-	mainGame = new Game(document.body);
-	mainRoom = mainGame.currentRoom;
-	mainRoom.addItem(mainPlayer);
-	window.requestAnimationFrame(mainGame.update.bind(mainGame));
-	start();
-}/**
- * Room class is one of main entities of the game. It contains items 
- * and is place where user can do all of his work (fight monsters, collect items, ...).
- * User can leave room with entering anotherone. 
- * 
- * @property {number} 						size	Size of room in percents of container size.
- * @property {Item[]} 						items	Array of items in room.
- * @property {Object.<Direction, Room[]>}	rooms	Rooms arranged by directions of current room.
- * @since 1.0.0
+/**
+ * Dialogue shows message boxes, dialogues with choices and titles of rooms.
+ * Gameplay waits while message box is open. Player moves to next page with action
+ * and selects choices with up and down.
+ *
+ * @property {Game} game Game where dialogue is shown.
+ * @since 1.1.0
  */
-class Room {
-	
+class Dialogue {
+
 	/**
-	 * Construction for Room.
+	 * Constructor for Dialogue.
 	 *
-	 * @param {number} [size = 1]	Size of room in percents.
+	 * @param {Game} game Game where dialogue is shown.
 	 */
-	constructor(size = 1) {
-		this.size = size;
-		this.items = [];
-
-		// Create array for each direction
-		this.rooms = {};
+	constructor(game) {
+		this.game = game;
+		this.reset();
 	}
-	
+
 	/**
-	 * Adds new item object in room. It places it in this.items array.
-	 * 
-	 * @param {Item} item Item to be placed in room.
+	 * Closes all messages without calling their callbacks.
 	 */
-	addItem(item) {
-		this.items.push(item);
-		item.place(this);
+	reset() {
+		this.queue = [];
+		this.current = null;
+		this.title = null;
+		this.titleTime = 0;
 	}
 
 	/**
-	 * Removes item from room.
-	 * @param {Item} item Item to be removed. 
+	 * Checks if message box is open.
+	 *
+	 * @returns {boolean} True while gameplay waits for player.
 	 */
-	removeItem(item) {
-		this.items.splice(this.items.indexOf(item), 1);
+	get active() {
+		return this.current != null;
 	}
 
 	/**
-	 * Connects this room with another room in specified direction.
-	 * The room is placed in this.rooms object
-	 * @param {Room} room				The room we want to connect to this room.
-	 * @param {Direction} direction		The direction where we want to place the room.
-	 * @param {function} [checkFunction]	Function that checks if player can move in room.
+	 * Shows message box. Messages are shown one after another.
+	 *
+	 * @param {string|string[]} text	Text of message or its pages.
+	 * @param {function} [callback]		Function that is called when message is dismissed.
 	 */
-	addRoom(room, direction, checkFunction) {
-		var inversedDirection = Direction.inverse(direction);
-		// Exit if the rooms are already connected.
-		if (direction in this.rooms && this.rooms[direction].indexOf(room) != -1) {
-			Logger.info("Room already added.", room);
-			return;
-		}
+	say(text, callback) {
+		this.open({text: text}, callback);
+	}
 
-		// If the direction or inversedDirection is not already in rooms, insert new empty array
-		if (!(direction in this.rooms)) {
-			this.rooms[direction] = [];
-		}
-		if (!(inversedDirection in room.rooms)) {
-			room.rooms[inversedDirection] = [];
+	/**
+	 * Starts dialogue. Dialogue continues with next node of selected choice.
+	 *
+	 * @param {DialogueNode} node		First node of dialogue.
+	 * @param {function} [callback]		Function (choice) that is called when dialogue ends, with last selected choice or null.
+	 */
+	open(node, callback) {
+		this.queue.push({node: node, callback: callback || null});
+		if (!this.current) {
+			this.next();
 		}
+	}
 
-		if (this.rooms[direction].length >= DoorConstants.MAX_NUMBER) {
-			Logger.info("Too many doors in direction", direction);
-		}
-		if (room.rooms[inversedDirection].length >= DoorConstants.MAX_NUMBER) {
-			Logger.info("Too many doors in direction", inversedDirection);
+	/**
+	 * Shows next message from queue.
+	 */
+	next() {
+		var entry = this.queue.shift();
+		this.current = null;
+		if (entry) {
+			this.show(entry.node, entry.callback);
 		}
-
-		// Add room to array and add link to this room to other room too
-		this.rooms[direction].push(room);
-		room.rooms[inversedDirection].push(this);
-		
 	}
 
 	/**
-	 * Draws doors to other rooms specified in this.rooms
-	 * @param {context} context	Canvas context to draw on
-	 * @param {number} size		Size of canvas in pixels
+	 * Shows node of dialogue from its first page.
+	 *
+	 * @param {DialogueNode} node		Node of dialogue.
+	 * @param {function} callback		Function that is called when dialogue ends.
 	 */
-	drawDoors(context, size) {
-		// Draw doors
-		var directions = Object.keys(this.rooms);
-		directions.forEach(function(direction) {
-			
-			var doors = this.rooms[direction];
-			var segmentLength = size / doors.length;
-
-			var doorLength = DoorConstants.LENGTH * size;
-			var doorThickness = DoorConstants.THICKNESS * size;
-
-			for (var i = 0; i < doors.length; i++) {
-				var centerOfSegment = (i * segmentLength) + (segmentLength / 2);
-
-				var x, y, doorWidth, doorHeight;
-				if (direction == Direction.UP || direction == Direction.DOWN) {
-					x = centerOfSegment - doorLength / 2;
-					y = (direction == Direction.DOWN) * (size - doorThickness);
-					doorWidth = doorLength;
-					doorHeight = doorThickness;
-				} else {
-					x = (direction == Direction.RIGHT) * (size - doorThickness);
-					y = centerOfSegment - doorLength / 2;
-					doorWidth = doorThickness;
-					doorHeight = doorLength;
-				}
-
-				context.fillRect(x, y, doorWidth, doorHeight);
-			}
-		}.bind(this));
+	show(node, callback) {
+		this.current = {
+			node: node,
+			callback: callback,
+			pages: Array.isArray(node.text) ? node.text : [node.text],
+			page: 0,
+			choice: 0
+		};
 	}
 
 	/**
-	 * Returns center of the doors in specified direction and doors offset. 
-	 * @param {Direction} direction 
-	 * @param {Position} position 
+	 * Shows title of room for TextConstants.TITLE_DURATION seconds.
+	 *
+	 * @param {string} title Title of room.
 	 */
-	getDoorsCenter(direction, position) {
-		var segmentLength = 1 / this.rooms[direction].length;
-		return (position * segmentLength) + (segmentLength / 2)  - DoorConstants.LENGTH / 2
+	showTitle(title) {
+		this.title = title;
+		this.titleTime = title ? TextConstants.TITLE_DURATION : 0;
 	}
 
 	/**
-	 * Draws room and all objects in the room.
-	 * @param {context} context	Canvas context to draw on
-	 * @param {number} width	Width of the canvas in pixels
-	 * @param {number} height	Height of the canvas in pixels
+	 * Reads input of player while message box is open. It is called on every simulation step,
+	 * so dialogue can be recorded and replayed.
+	 *
+	 * @param {Input} input Input of player.
 	 */
-	draw(context, width, height) {
-		// Calculate room width
-		var roomSize = Math.min(width, height) * this.size;
-		
-		var left = (width - roomSize) / 2;
-		var top = (height - roomSize) / 2;
+	update(input) {
+		var current = this.current;
+		var choices = current.node.choices || [];
+		var lastPage = current.page == current.pages.length - 1;
+		if (lastPage && choices.length > 0) {
+			if (input.consume(Action.UP)) {
+				current.choice = (current.choice + choices.length - 1) % choices.length;
+			}
+			if (input.consume(Action.DOWN)) {
+				current.choice = (current.choice + 1) % choices.length;
+			}
+		}
+		if (!input.consume(Action.ACTION)) {
+			return;
+		}
+		if (!lastPage) {
+			current.page++;
+			return;
+		}
+
+		var choice = choices[current.choice] || null;
+		if (choice && choice.action) {
+			choice.action.call(this.game, this.game);
+		}
+		var next = choice ? choice.next : current.node.next;
+		if (next) {
+			this.show(next, current.callback);
+			return;
+		}
+		this.current = null;
+		if (current.callback) {
+			current.callback.call(this.game, choice);
+		}
+		// Callback could open new message
+		if (!this.current) {
+			this.next();
+		}
+	}
+
+	/**
+	 * Counts down time of room title.
+	 *
+	 * @param {number} dt Length of simulation step in seconds.
+	 */
+	tick(dt) {
+		this.titleTime = Math.max(0, this.titleTime - dt);
+	}
+
+	/**
+	 * Draws title of room and open message box.
+	 *
+	 * @param {Object} context	2D context of Canvas
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 */
+	draw(context, width, height) {
+		var fontSize = TextLayout.fontSize(width, height);
+		var padding = fontSize;
+		if (this.titleTime > 0) {
+			context.globalAlpha = Math.min(1, this.titleTime);
+			context.font = "bold " + Math.round(fontSize * 1.5) + "px " + TextConstants.FONT;
+			context.textAlign = "center";
+			context.textBaseline = "top";
+			context.fillStyle = TextConstants.TITLE_COLOR;
+			TextLayout.draw(context, this.title, width / 2, padding * 3, width - padding * 2, fontSize * 2);
+			context.globalAlpha = 1;
+		}
+		if (!this.current) {
+			context.textBaseline = "alphabetic";
+			context.fillStyle = "#000";
+			return;
+		}
+
+		var current = this.current;
+		var lineHeight = fontSize * 1.4;
+		var boxWidth = Math.min(width - padding * 2, fontSize * 40);
+		var textWidth = boxWidth - padding * 2;
+		context.font = fontSize + "px " + TextConstants.FONT;
+		var lines = TextLayout.wrap(context, current.pages[current.page], textWidth);
+		var choices = (current.page == current.pages.length - 1) ? (current.node.choices || []) : [];
+		var choiceLines = choices.map(function(choice) {
+			return TextLayout.wrap(context, choice.text, textWidth - fontSize * 1.5);
+		});
+		var count = choiceLines.reduce(function(sum, choice) {
+			return sum + choice.length;
+		}, lines.length);
+
+		// Box at the bottom of canvas
+		var boxHeight = count * lineHeight + padding * 2;
+		var left = (width - boxWidth) / 2;
+		var top = height - boxHeight - padding;
+		context.fillStyle = TextConstants.BOX_COLOR;
+		context.fillRect(left, top, boxWidth, boxHeight);
+
+		context.textAlign = "left";
+		context.textBaseline = "top";
+		context.fillStyle = TextConstants.COLOR;
+		var y = top + padding;
+		lines.forEach(function(line) {
+			context.fillText(line, left + padding, y);
+			y += lineHeight;
+		});
+		choiceLines.forEach(function(choice, i) {
+			if (i == current.choice) {
+				context.fillText("▶", left + padding, y);
+			}
+			choice.forEach(function(line) {
+				context.fillText(line, left + padding + fontSize * 1.5, y);
+				y += lineHeight;
+			});
+		});
+		if (current.page < current.pages.length - 1) {
+			context.textAlign = "right";
+			context.fillText("▼", left + boxWidth - padding / 2, top + boxHeight - lineHeight);
+		}
+		context.textBaseline = "alphabetic";
+		context.fillStyle = "#000";
+	}
+
+	/**
+	 * Returns data of dialogue for level format. Nodes get ids, because dialogue can loop.
+	 * Actions of choices are functions, so they are not saved.
+	 *
+	 * @param {DialogueNode} start	First node of dialogue.
+	 * @returns {DialogueData} Data of dialogue.
+	 */
+	static toJSON(start) {
+		var ids = new Map([[start, 0]]);
+		var nodes = [start];
+		var idOf = function(node) {
+			if (!node) {
+				return undefined;
+			}
+			if (!ids.has(node)) {
+				ids.set(node, nodes.length);
+				nodes.push(node);
+			}
+			return ids.get(node);
+		};
+		var data = [];
+		// Nodes are added while they are serialized
+		for (var i = 0; i < nodes.length; i++) {
+			var node = nodes[i];
+			var nodeData = {text: node.text};
+			if (node.choices) {
+				nodeData.choices = node.choices.map(function(choice) {
+					return {text: choice.text, next: idOf(choice.next)};
+				});
+			}
+			if (node.next) {
+				nodeData.next = idOf(node.next);
+			}
+			data.push(nodeData);
+		}
+		return {start: 0, nodes: data};
+	}
+
+	/**
+	 * Creates nodes of dialogue from data of level format.
+	 *
+	 * @param {DialogueData} data	Data of dialogue.
+	 * @returns {DialogueNode} First node of dialogue.
+	 */
+	static fromJSON(data) {
+		var nodes = data.nodes.map(function(nodeData) {
+			return {text: nodeData.text};
+		});
+		var nodeOf = function(id) {
+			if (id === undefined || id === null) {
+				return undefined;
+			}
+			if (!nodes[id]) {
+				throw new Error("Unknown node of dialogue: " + id);
+			}
+			return nodes[id];
+		};
+		data.nodes.forEach(function(nodeData, i) {
+			if (nodeData.choices) {
+				nodes[i].choices = nodeData.choices.map(function(choice) {
+					return {text: choice.text, next: nodeOf(choice.next)};
+				});
+			}
+			if (nodeData.next !== undefined) {
+				nodes[i].next = nodeOf(nodeData.next);
+			}
+		});
+		return nodeOf(data.start || 0);
+	}
+}
+
+/**
+ * Dialogue in level format. Nodes refer to each other by their index.
+ *
+ * @typedef {Object} DialogueData
+ * @property {number} start			Index of first node.
+ * @property {Object[]} nodes		Nodes with text, choices and next, where next is index of node.
+ */
+
+/**
+ * Node of dialogue.
+ *
+ * @typedef {Object} DialogueNode
+ * @property {string|string[]} text			Text of node or its pages.
+ * @property {DialogueChoice[]} [choices]	Choices shown on the last page.
+ * @property {DialogueNode} [next]			Node that follows if there are no choices.
+ */
+
+/**
+ * Choice in dialogue.
+ *
+ * @typedef {Object} DialogueChoice
+ * @property {string} text					Text of choice.
+ * @property {DialogueNode} [next]			Node that follows when choice is selected, dialogue ends if it is not given.
+ * @property {function} [action]			Function (game) that is called when choice is selected.
+ */
+
+/**
+ * Door leads from one room to another. Player can pass door if it is not locked
+ * and its check function allows it.
+ *
+ * @property {Room}		room	Room where door leads to.
+ * @property {function}	check	Function that checks if player can pass door. 
+ * @property {boolean}	locked	Locked door can not be passed.
+ * @property {string}	color	Color of door, DoorConstants are used if it is null.
+ * @property {string}	image	Url of image of door or null.
+ * @since 1.1.0
+ */
+class Door {
+
+	/**
+	 * Constructor for Door.
+	 *
+	 * @param {Room} room				Room where door leads to.
+	 * @param {function} [check]		Function (player, fromRoom, toRoom) that returns true if player can pass.
+	 */
+	constructor(room, check) {
+		this.room = room;
+		this.check = check || null;
+		this.locked = false;
+		this.color = null;
+		this.image = null;
+	}
+
+	/**
+	 * Checks if player can pass the door.
+	 *
+	 * @param {Player} player	Player that entered door.
+	 * @param {Room} from		Room where player is located.
+	 * @returns {boolean} True if player can pass.
+	 */
+	canPass(player, from) {
+		if (this.locked) {
+			return false;
+		}
+		return !this.check || Boolean(this.check(player, from, this.room));
+	}
+
+	/**
+	 * Returns color of door that shows its state.
+	 *
+	 * @returns {string} Color of door.
+	 */
+	getColor() {
+		if (this.locked) {
+			return DoorConstants.LOCKED_COLOR;
+		}
+		if (this.color) {
+			return this.color;
+		}
+		return this.check ? DoorConstants.CONDITIONAL_COLOR : DoorConstants.COLOR;
+	}
+}
+
+/**
+ * Base class for objects that emit events. Level scripts can listen to events
+ * of game, rooms and items and emit their own custom events.
+ *
+ * @property {Object.<string, function[]>} listeners Listeners arranged by name of event.
+ * @since 1.1.0
+ */
+class EventEmitter {
+
+	/**
+	 * Constructor for EventEmitter.
+	 */
+	constructor() {
+		this.listeners = {};
+	}
+
+	/**
+	 * Adds listener for event. Listener is called with this set to emitter.
+	 *
+	 * @param {string} name			Name of event.
+	 * @param {function} callback	Function called when event is emitted.
+	 * @returns {EventEmitter} This object, so calls can be chained.
+	 */
+	on(name, callback) {
+		if (!(name in this.listeners)) {
+			this.listeners[name] = [];
+		}
+		this.listeners[name].push(callback);
+		return this;
+	}
+
+	/**
+	 * Adds listener that is called only the first time event is emitted.
+	 *
+	 * @param {string} name			Name of event.
+	 * @param {function} callback	Function called when event is emitted.
+	 * @returns {EventEmitter} This object, so calls can be chained.
+	 */
+	once(name, callback) {
+		var wrapper = function(...args) {
+			this.off(name, wrapper);
+			callback.apply(this, args);
+		};
+		return this.on(name, wrapper);
+	}
+
+	/**
+	 * Removes listener of event. If callback is not given, all listeners of event are removed.
+	 *
+	 * @param {string} name			Name of event.
+	 * @param {function} [callback]	Listener to remove.
+	 * @returns {EventEmitter} This object, so calls can be chained.
+	 */
+	off(name, callback) {
+		if (!(name in this.listeners)) {
+			return this;
+		}
+		if (callback === undefined) {
+			delete this.listeners[name];
+			return this;
+		}
+		var index = this.listeners[name].indexOf(callback);
+		if (index != -1) {
+			this.listeners[name].splice(index, 1);
+		}
+		return this;
+	}
+
+	/**
+	 * Calls all listeners of event. Error in one listener does not stop the game,
+	 * it is logged and other listeners are still called.
+	 *
+	 * @param {string} name	Name of event.
+	 * @param {Array} args	Arguments passed to listeners.
+	 */
+	emit(name, ...args) {
+		if (!(name in this.listeners)) {
+			return;
+		}
+		this.listeners[name].slice().forEach(function(callback) {
+			try {
+				callback.apply(this, args);
+			} catch (error) {
+				Logger.error("Error in listener of event " + name, error);
+			}
+		}.bind(this));
+	}
+}
+
+/**
+ * Main game object that controlls user, gameplay, rooms.
+ * 
+ * @property {Room}	currentRoom Object of current displayed room.
+ * @property {Room} lastRoom For purpose of changing room this holds last doors.
+ * @property {Room} mainRoom Room where game starts.
+ * @property {Object} canvas Canvas where game is drawn.
+ * @property {Player} player Main character of the game.
+ * @property {boolean} paused True if simulation is paused.
+ * @property {number} timeScale Speed of simulation, 1 is normal speed.
+ * @property {number} time Simulated time in seconds since start of the game.
+ * @property {number} ticks Number of simulation steps since start of the game.
+ * @property {boolean} running True between start and destroy of the game.
+ * @property {boolean} loading True while images of the level are preloaded, simulation waits for them.
+ * @property {Input} input Input of player, it keeps key bindings when game is restarted.
+ * @property {Minimap} minimap Map of rooms, it keeps its settings when game is restarted.
+ * @property {Camera} camera Camera that shows current room, it keeps its settings when game is restarted.
+ * @property {Dialogue} dialogue Message boxes, dialogues and room titles.
+ * @property {Sound} sound Sound effects and music, it keeps its settings when game is restarted.
+ * @property {boolean} strict In strict mode game does not start with invalid level.
+ * @property {number|string} seed Seed of random generator, new seed is chosen on every start if it is null.
+ * @property {Random} random Random generator of the game. All random choices of the game should use it.
+ * @property {RecordingData} replaying Recording that is replayed or null.
+ * @property {function[]} winConditions Functions (game) that are checked every step, game is won when one of them returns true.
+ * @property {boolean} ended True after game is won or lost.
+ * @fires Game#tick
+ * @fires Game#roomchange
+ * @fires Game#pause
+ * @fires Game#resume
+ * @fires Game#gameover
+ * @fires Game#win
+ * @fires Game#start
+ * @fires Game#destroy
+ * @fires Game#replayend
+ * @extends {EventEmitter}
+ * @since 1.0.0
+ */
+class Game extends EventEmitter {
+	
+	/**
+	 * Constructor for Game. Game is not drawn until it is started.
+	 * 
+	 * @param {Object} container Dom object where canvas should be placed. 
+	 * @param {function} [script] Function (game, mainRoom, player) that builds the level. It is called on every start.
+	 */
+	constructor(container, script) {
+		super();
+		this.container = container;
+		this.script = script || null;
+		this.canvas = null;
+		this.context = null;
+		this.running = false;
+		this.loading = false;
+		this.paused = false;
+		this.autoPaused = false;
+		this.timeScale = 1;
+		this.strict = false;
+		// New seed is chosen on every start if seed is null
+		this.seed = null;
+		this.replaying = null;
+
+		// Every start and destroy begins new session, so loops of old sessions stop
+		this.session = 0;
+		this.frameRequest = null;
+
+		// Keys are read from container, or from window if game fills the whole page
+		this.keyTarget = (container == document.body) ? window : container;
+		this.input = new Input();
+		this.minimap = new Minimap();
+		this.camera = new Camera();
+		this.dialogue = new Dialogue(this);
+		this.sound = new Sound();
+
+		// Listeners are bound once, so they can be removed when game is destroyed
+		this.onResize = this.resizeCanvas.bind(this);
+		this.onVisibilityChange = this.onVisibilityChange.bind(this);
+
+		this.reset();
+	}
+
+	/**
+	 * Creates new main room with player and clears state of the game.
+	 * Listeners of game events are removed, because script adds them again.
+	 */
+	reset() {
+		this.listeners = {};
+		this.random = new Random((this.seed === null) ? Date.now() : this.seed);
+		this.recorder = new Recorder(this.random.seed);
+		this.replayIndex = 0;
+		this.currentRoom = new Room(1);
+		this.currentRoom.game = this;
+		this.mainRoom = this.currentRoom;
+		this.lastRoom = null;
+		this.player = Items.player();
+		this.mainRoom.addItem(this.player);
+		this.minimap.reset();
+		this.minimap.visit(this.mainRoom);
+		this.camera.reset();
+		this.dialogue.reset();
+		this.winConditions = [];
+		this.ended = false;
+
+		// State of game loop
+		this.time = 0;
+		this.ticks = 0;
+		this.accumulator = 0;
+		this.lastFrameTime = null;
+	}
+
+	/**
+	 * Creates canvas, starts game loop and runs script of the game.
+	 */
+	start() {
+		if (this.running) {
+			return;
+		}
+		this.running = true;
+		this.session++;
+
+		//HACK: Firefox min-body height depends on its content
+		if (this.container == document.body) {
+			document.body.style.minHeight = "100vh";
+			document.body.style.height = "100vh";
+		} else if (this.container.tabIndex < 0) {
+			// Container has to be focusable to receive keys
+			this.container.tabIndex = 0;
+		}
+
+		this.canvas = document.createElement("canvas");
+		this.container.appendChild(this.canvas);
+		this.context = this.canvas.getContext("2d");
+
+		// Resize canvas to fit inside container
+		this.resizeCanvas();
+
+		this.input.attach(this.keyTarget, this.canvas);
+		this.sound.attach();
+		window.addEventListener("resize", this.onResize);
+		document.addEventListener("visibilitychange", this.onVisibilityChange);
+
+		this.frameRequest = window.requestAnimationFrame(this.loop.bind(this));
+		this.emit("start");
+		if (this.script) {
+			// Rooms built by script are not in game yet, they use random generator of this game
+			var random = Random.current;
+			Random.current = this.random;
+			try {
+				this.script.call(this, this, this.mainRoom, this.player);
+			} finally {
+				Random.current = random;
+			}
+		}
+		if (this.strict) {
+			var report = this.validate();
+			if (!report.valid) {
+				this.destroy();
+				throw new Error("Invalid level: " + report.errors.map(function(error) {
+					return error.message;
+				}).join(" "));
+			}
+		}
+		this.preload();
+		this.dialogue.showTitle(this.currentRoom.title);
+		this.sound.playMusic(this.currentRoom.music || this.sound.music);
+	}
+
+	/**
+	 * Shows message box. Gameplay waits until player dismisses it with action.
+	 *
+	 * @param {string|string[]} text	Text of message or its pages.
+	 * @param {function} [callback]		Function that is called when message is dismissed.
+	 */
+	say(text, callback) {
+		this.dialogue.say(text, callback);
+	}
+
+	/**
+	 * Starts dialogue with choices. Gameplay waits until dialogue ends.
+	 *
+	 * @param {DialogueNode} node		First node of dialogue.
+	 * @param {function} [callback]		Function (choice) that is called when dialogue ends.
+	 */
+	talk(node, callback) {
+		this.dialogue.open(node, callback);
+	}
+
+	/**
+	 * Starts loading of all images used by rooms, doors and items of the level.
+	 * Simulation waits until they are loaded. Images requested later do not stop the game,
+	 * they are drawn when they are loaded.
+	 */
+	preload() {
+		var urls = [];
+		Levels.roomIds(this.mainRoom).forEach(function(id, room) {
+			urls.push(room.image);
+			Object.keys(room.doors).forEach(function(direction) {
+				room.doors[direction].forEach(function(door) {
+					urls.push(door.image);
+				});
+			});
+			room.items.forEach(function(item) {
+				urls.push(item.image, item.sprite && item.sprite.image);
+			});
+		});
+		// Images of restarted game are usually loaded already
+		var pending = urls.filter(function(url) {
+			return url && !Assets.image(url).complete;
+		});
+		var session = this.session;
+		this.loading = pending.length > 0;
+		Assets.preload(pending).then(function() {
+			// Restarted game preloads its own level
+			if (session == this.session) {
+				this.loading = false;
+			}
+		}.bind(this));
+	}
+
+	/**
+	 * Checks graph of rooms from main room and items in rooms.
+	 *
+	 * @returns {ValidationReport} Report with errors and warnings.
+	 */
+	validate() {
+		return Validator.validate(this);
+	}
+
+	/**
+	 * Stops game loop, removes all listeners and canvas of the game.
+	 */
+	destroy() {
+		if (!this.running) {
+			return;
+		}
+		this.running = false;
+		this.session++;
+
+		window.cancelAnimationFrame(this.frameRequest);
+		this.frameRequest = null;
+		this.input.detach();
+		this.sound.detach();
+		window.removeEventListener("resize", this.onResize);
+		document.removeEventListener("visibilitychange", this.onVisibilityChange);
+
+		this.container.removeChild(this.canvas);
+		this.canvas = null;
+		this.context = null;
+		this.emit("destroy");
+	}
+
+	/**
+	 * Destroys the game and starts it again from the beginning.
+	 */
+	restart() {
+		this.destroy();
+		this.paused = false;
+		this.autoPaused = false;
+		this.replaying = null;
+		this.input.restore(null);
+		this.reset();
+		this.start();
+		this.sound.play("restart");
+	}
+
+	/**
+	 * Returns recording of the game since it was started.
+	 *
+	 * @returns {RecordingData} Data of recording.
+	 */
+	get recording() {
+		return this.recorder.toJSON();
+	}
+
+	/**
+	 * Restarts the game with seed of recording and plays recorded actions instead of real inputs.
+	 * Real inputs are used again when recording ends. Script of the game has to be the same as
+	 * in recorded game.
+	 *
+	 * @param {RecordingData|string} data Data of recording or JSON string.
+	 * @fires Game#replayend
+	 */
+	replay(data) {
+		if (typeof data == "string") {
+			data = JSON.parse(data);
+		}
+		if (data.version > Recorder.VERSION) {
+			throw new Error("Unsupported version of recording: " + data.version);
+		}
+		var seed = this.seed;
+		this.seed = data.seed;
+		this.restart();
+		this.seed = seed;
+		this.replaying = data;
+	}
+
+	/**
+	 * Feeds recorded input of current simulation step. Replay ends after last recorded step.
+	 */
+	replayStep() {
+		var frames = this.replaying.frames;
+		while (this.replayIndex < frames.length && frames[this.replayIndex].tick <= this.ticks) {
+			this.replayIndex++;
+		}
+		// State is restored on every step, because pressed actions can be consumed during step
+		if (this.replayIndex > 0) {
+			this.input.restore(frames[this.replayIndex - 1]);
+		}
+		if (this.ticks >= this.replaying.ticks) {
+			this.replaying = null;
+			this.input.restore(null);
+			this.emit("replayend");
+		}
+	}
+
+	/**
+	 * Resize canvas to fit inside this.container
+	 */
+	resizeCanvas() {
+		var containerSize = this.container.getBoundingClientRect();
+		this.canvas.width = containerSize.width;
+		this.canvas.height = containerSize.height;
+	}
+
+	/**
+	 * Pauses the game while tab is hidden.
+	 */
+	onVisibilityChange() {
+		if (document.hidden && !this.paused) {
+			this.autoPaused = true;
+			this.pause();
+		} else if (!document.hidden && this.autoPaused) {
+			this.autoPaused = false;
+			this.resume();
+		}
+	}
+
+	/**
+	 * Change current room. This function is called when user leaves current room. 
+	 *
+	 * @param {Room} room New room to be shown.
+	 */
+	changeCurrentRoom(room) {
+		this.lastRoom = this.currentRoom;
+		this.lastRoom.emit("leave", this);
+		this.currentRoom = room;
+		room.game = this;
+		this.minimap.visit(room);
+		this.dialogue.showTitle(room.title);
+		this.sound.play("door");
+		this.sound.playMusic(room.music || this.sound.music);
+		room.emit("enter", this);
+		this.emit("roomchange", room, this.lastRoom);
+	}
+
+	/**
+	 * Returns level of this game together with player and room where player is.
+	 *
+	 * @returns {LevelData} Data of game.
+	 */
+	toJSON() {
+		var data = Levels.toJSON(this.mainRoom, this.currentRoom);
+		if (this.player) {
+			data.player = this.player.toJSON();
+		}
+		return data;
+	}
+
+	/**
+	 * Replaces rooms of this game with rooms of level. Player is moved in
+	 * current room of level or in starting room of level.
+	 *
+	 * @param {LevelData|string} data Data of level or JSON string.
+	 */
+	load(data) {
+		if (typeof data == "string") {
+			data = JSON.parse(data);
+		}
+		var level = Levels.fromJSON(data);
+		level.rooms.forEach(function(room) {
+			room.game = this;
+		}.bind(this));
+		if (this.player && this.player.room) {
+			this.player.room.removeItem(this.player);
+		}
+
+		this.mainRoom = level.start;
+		this.currentRoom = level.current;
+		this.lastRoom = null;
+		this.minimap.reset();
+		this.minimap.visit(this.currentRoom);
+		this.currentRoom.emit("enter", this);
+
+		if (this.player) {
+			this.currentRoom.addItem(this.player);
+			if (data.player) {
+				Items.assign(this.player, data.player);
+			}
+		}
+	}
+
+	/**
+	 * Creates new game from level.
+	 *
+	 * @param {LevelData|string} data	Data of level or JSON string.
+	 * @param {Object} [container = document.body] Dom object where canvas should be placed.
+	 * @returns {Game} New game.
+	 */
+	static fromJSON(data, container = document.body) {
+		var game = new Game(container, function(game) {
+			game.load(data);
+		});
+		game.start();
+		return game;
+	}
+
+	/**
+	 * Ends the game. Player is moved from current room to new game over room.
+	 */
+	gameOver() {
+		var room = Rooms.gameOverRoom();
+		this.ended = true;
+		this.currentRoom.removeItem(this.player);
+		this.changeCurrentRoom(room);
+		room.addItem(this.player);
+		this.emit("gameover");
+	}
+
+	/**
+	 * Wins the game. Player is moved from current room to new victory room,
+	 * which shows time, score and number of visited rooms.
+	 */
+	win() {
+		if (this.ended) {
+			return;
+		}
+		var room = Rooms.victoryRoom();
+		room.stats = {
+			time: this.time,
+			score: this.player.score,
+			rooms: this.minimap.visited.size
+		};
+		this.ended = true;
+		this.currentRoom.removeItem(this.player);
+		this.changeCurrentRoom(room);
+		room.addItem(this.player);
+		this.emit("win", room.stats);
+	}
+
+	/**
+	 * Adds condition of winning. Conditions are checked after every simulation step and
+	 * game is won when one of them is met. Conditions are removed when game is restarted.
+	 *
+	 * @param {function} condition	Function (game) that returns true when game is won, see Goals.
+	 */
+	addWinCondition(condition) {
+		this.winConditions.push(condition);
+	}
+
+	/**
+	 * Wins the game if player is in goal room or one of win conditions is met.
+	 * Condition that throws error is logged and removed.
+	 */
+	checkWin() {
+		if (this.ended) {
+			return;
+		}
+		var won = this.currentRoom.goal || this.winConditions.slice().some(function(condition) {
+			try {
+				return condition(this);
+			} catch (error) {
+				// Broken condition would fail on every step, so it is removed
+				Logger.error("Error in win condition, condition is removed", error);
+				this.winConditions.splice(this.winConditions.indexOf(condition), 1);
+				return false;
+			}
+		}.bind(this));
+		if (won) {
+			this.win();
+		}
+	}
+	
+	/**
+	 * Pauses simulation of the game. Game is still drawn.
+	 */
+	pause() {
+		this.paused = true;
+		this.emit("pause");
+	}
+
+	/**
+	 * Resumes simulation of the game.
+	 */
+	resume() {
+		this.paused = false;
+		this.autoPaused = false;
+		// Do not simulate time that passed during pause
+		this.lastFrameTime = null;
+		this.accumulator = 0;
+		this.emit("resume");
+	}
+
+	/**
+	 * Main loop of the game. Function is called on animation frame.
+	 * Real time is simulated in fixed steps of GameConstants.TIME_STEP,
+	 * so game behaves the same on every frame rate.
+	 *
+	 * @param {number} timestamp Time of animation frame in milliseconds.
+	 */
+	loop(timestamp) {
+		var session = this.session;
+		if (this.loading) {
+			// Do not simulate time spent by loading
+			this.lastFrameTime = null;
+			this.drawLoading(this.context);
+			this.frameRequest = window.requestAnimationFrame(this.loop.bind(this));
+			return;
+		}
+		this.input.update();
+		if (this.input.wasPressed(Action.PAUSE)) {
+			if (this.paused) {
+				this.resume();
+			} else {
+				this.pause();
+			}
+		}
+		if (this.input.wasPressed(Action.MAP) && this.minimap.enabled) {
+			this.minimap.toggle();
+		}
+
+		if (this.lastFrameTime != null && !this.paused) {
+			var frameTime = Math.min((timestamp - this.lastFrameTime) / 1000, GameConstants.MAX_FRAME_TIME);
+			this.accumulator += frameTime * this.timeScale;
+			while (this.accumulator >= GameConstants.TIME_STEP) {
+				this.update(GameConstants.TIME_STEP);
+				this.accumulator -= GameConstants.TIME_STEP;
+				// Game was restarted or destroyed during update
+				if (this.session != session) {
+					return;
+				}
+			}
+		}
+		this.lastFrameTime = timestamp;
+
+		this.draw();
+		this.frameRequest = window.requestAnimationFrame(this.loop.bind(this));
+	}
+
+	/**
+	 * Updates current room and all of its objects for one simulation step. 
+	 *
+	 * @param {number} dt Length of simulation step in seconds.
+	 */
+	update(dt) {
+		if (this.replaying) {
+			this.replayStep();
+		}
+		this.recorder.capture(this.ticks, this.time, this.input.snapshot());
+		if (this.dialogue.active) {
+			// Gameplay waits for player, but steps are counted so input of dialogue is recorded
+			this.dialogue.update(this.input);
+			this.ticks++;
+			return;
+		}
+		this.dialogue.tick(dt);
+
+		var random = Random.current;
+		Random.current = this.random;
+		try {
+			this.currentRoom.update(dt);
+			this.checkWin();
+			if (this.canvas) {
+				this.camera.update(this, dt);
+			}
+			this.time += dt;
+			this.ticks++;
+			this.emit("tick", dt);
+		} finally {
+			Random.current = random;
+		}
+	}
+
+	/**
+	 * Draws current room and HUD on canvas.
+	 */
+	draw() {
+		this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		var view = this.camera.getView(this.currentRoom, this.canvas.width, this.canvas.height);
+		this.currentRoom.draw(this.context, this.canvas.width, this.canvas.height, view);
+		this.drawHud(this.context);
+		this.minimap.draw(this.context, this, this.canvas.width, this.canvas.height);
+		this.dialogue.draw(this.context, this.canvas.width, this.canvas.height);
+		if (this.paused) {
+			this.drawPause(this.context);
+		}
+		this.input.draw(this.context, this.canvas.width, this.canvas.height);
+	}
+
+	/**
+	 * Draws loading screen while images are loading.
+	 *
+	 * @param {Object} context 2D context of Canvas
+	 */
+	drawLoading(context) {
+		context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		context.font = "30px Tahoma";
+		context.textAlign = "center";
+		context.fillStyle = "#000";
+		context.fillText("LOADING...", this.canvas.width / 2, this.canvas.height / 2);
+	}
+
+	/**
+	 * Draws pause screen over the room.
+	 *
+	 * @param {Object} context 2D context of Canvas
+	 */
+	drawPause(context) {
+		context.fillStyle = "rgba(255, 255, 255, 0.6)";
+		context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+		context.font = "30px Tahoma";
+		context.textAlign = "center";
+		context.fillStyle = "#000";
+		context.fillText("PAUSED", this.canvas.width / 2, this.canvas.height / 2);
+	}
+
+	/**
+	 * Draws health, lives, score and inventory of player above the room.
+	 *
+	 * @param {Object} context 2D context of Canvas
+	 */
+	drawHud(context) {
+		if (!this.player) {
+			return;
+		}
+		var size = 12;
+		var top = 8;
+		var left = 8;
+
+		// Draw health bar, one square for each point of health
+		for (var i = 0; i < this.player.maxHealth; i++) {
+			context.fillStyle = (i < this.player.health) ? "#c00" : "#ddd";
+			context.fillRect(left + i * (size + 2), top, size, size);
+		}
+
+		context.font = size + "px Tahoma";
+		context.textAlign = "left";
+		context.textBaseline = "top";
+		context.fillStyle = "#000";
+		var text = "Lives: " + this.player.lives + "   Score: " + this.player.score;
+		context.fillText(text, left + this.player.maxHealth * (size + 2) + size, top);
+		context.textBaseline = "alphabetic";
+
+		// Items carried by player are shown in strip under health
+		this.player.inventory.draw(context, left, top + size + 6, size);
+	}
+}/**
+ * Helper with common win conditions. Conditions are functions (game) that
+ * return true when game is won, they are added with game.addWinCondition.
+ *
+ * @example
+ * game.addWinCondition(Goals.collectAll("bonus"));
+ * game.addWinCondition(Goals.all(Goals.reachRoom(room), Goals.score(100)));
+ * @since 1.1.0
+ */
+class Goals {
+
+	/**
+	 * Condition that is met when there are no items of given type left in rooms connected with main room.
+	 *
+	 * @param {string} [type = "bonus"]	Type of item, key of Items.types.
+	 * @returns {function} Win condition.
+	 */
+	static collectAll(type = "bonus") {
+		if (!Items.types[type]) {
+			throw new Error("Unknown type of item: " + type);
+		}
+		return function(game) {
+			var rooms = Array.from(Levels.roomIds(game.mainRoom).keys());
+			return rooms.every(function(room) {
+				return !room.items.some(function(item) {
+					return item instanceof Items.types[type];
+				});
+			});
+		};
+	}
+
+	/**
+	 * Condition that is met when player enters given room.
+	 *
+	 * @param {Room} room	Room that player has to reach.
+	 * @returns {function} Win condition.
+	 */
+	static reachRoom(room) {
+		return function(game) {
+			return game.currentRoom === room;
+		};
+	}
+
+	/**
+	 * Condition that is met when player has at least given score.
+	 *
+	 * @param {number} points	Needed score.
+	 * @returns {function} Win condition.
+	 */
+	static score(points) {
+		return function(game) {
+			return game.player.score >= points;
+		};
+	}
+
+	/**
+	 * Condition that is met when all given conditions are met.
+	 *
+	 * @param {...function} conditions	Win conditions.
+	 * @returns {function} Win condition.
+	 */
+	static all(...conditions) {
+		return function(game) {
+			return conditions.every(function(condition) {
+				return condition(game);
+			});
+		};
+	}
+}/**
+ * Enum for abstract actions of player. Physical inputs (keys, touches, gamepad buttons)
+ * are mapped to these actions. Moving actions have the same values as Direction.
+ * @enum {number}
+ */
+const Action = Object.freeze({
+	/** Move left. */
+	LEFT: 0,
+	/** Move up. */
+	UP: 1,
+	/** Move right. */
+	RIGHT: 2,
+	/** Move down. */
+	DOWN: 3,
+	/** Main action (talk, use, confirm). */
+	ACTION: 4,
+	/** Pause or resume the game. */
+	PAUSE: 5,
+	/** Show or hide minimap. */
+	MAP: 6
+});
+
+/**
+ * Object for 'constants' about input. We do not freeze this object, because we allow user to set his own constants. 
+ */
+const InputConstants = {
+	/** Default keys for actions, values of KeyboardEvent.code or KeyboardEvent.key */
+	KEYS: {
+		[Action.LEFT]: ["ArrowLeft", "KeyA"],
+		[Action.UP]: ["ArrowUp", "KeyW"],
+		[Action.RIGHT]: ["ArrowRight", "KeyD"],
+		[Action.DOWN]: ["ArrowDown", "KeyS"],
+		[Action.ACTION]: ["Space", "Enter"],
+		[Action.PAUSE]: ["KeyP", "Escape"],
+		[Action.MAP]: ["KeyM"]
+	},
+	/** Default buttons of gamepad (standard mapping) for actions */
+	GAMEPAD_BUTTONS: {
+		[Action.LEFT]: [14],
+		[Action.UP]: [12],
+		[Action.RIGHT]: [15],
+		[Action.DOWN]: [13],
+		[Action.ACTION]: [0],
+		[Action.PAUSE]: [9],
+		[Action.MAP]: [8]
+	},
+	/** Gamepad stick has to be moved more than this to move player */
+	GAMEPAD_DEAD_ZONE: 0.5,
+	/** Finger has to move more than this many pixels to make a swipe */
+	SWIPE_DISTANCE: 20,
+	/** Size of on-screen controls in percents of smaller side of canvas */
+	TOUCH_SIZE: 0.12
+};
+
+/**
+ * Input maps physical inputs (keyboard, touch screen and gamepads) to abstract actions.
+ * Scripts can change which keys are used for actions.
+ *
+ * @property {Object.<Action, string[]>} keys			Keys bound to actions.
+ * @property {Object.<Action, number[]>} buttons		Gamepad buttons bound to actions.
+ * @property {boolean|string} touchControls			True to show on-screen controls, "auto" to show them after first touch.
+ * @fires Input#press
+ * @fires Input#release
+ * @extends {EventEmitter}
+ * @since 1.1.0
+ */
+class Input extends EventEmitter {
+
+	/**
+	 * Constructor for Input.
+	 */
+	constructor() {
+		super();
+		this.keys = {};
+		this.buttons = {};
+		this.touchControls = "auto";
+		this.resetBindings();
+
+		// Actions of pressed keys by their codes and actions pressed by each source of input
+		this.pressedKeys = new Map();
+		this.sources = {keyboard: new Set(), touch: new Set(), gamepad: new Set()};
+		this.down = new Set();
+		// Moving actions in order in which they were pressed
+		this.order = [];
+		// Actions pressed since last update and in last update
+		this.pending = new Set();
+		this.fresh = new Set();
+		// Touches by their identifiers
+		this.touches = {};
+		// Recorded state that replaces real inputs while game is replayed
+		this.replayed = null;
+
+		this.target = null;
+		this.canvas = null;
+		this.onKeyDown = this.onKeyDown.bind(this);
+		this.onKeyUp = this.onKeyUp.bind(this);
+		this.onBlur = this.clear.bind(this);
+		this.onTouch = this.onTouch.bind(this);
+	}
+
+	/**
+	 * Starts listening to keys on target and to touches on canvas.
+	 *
+	 * @param {Object} target Dom object or window that receives keys.
+	 * @param {Object} canvas Canvas of the game.
+	 */
+	attach(target, canvas) {
+		this.detach();
+		this.target = target;
+		this.canvas = canvas;
+		target.addEventListener("keydown", this.onKeyDown);
+		target.addEventListener("keyup", this.onKeyUp);
+		window.addEventListener("blur", this.onBlur);
+		["touchstart", "touchmove", "touchend", "touchcancel"].forEach(function(name) {
+			canvas.addEventListener(name, this.onTouch, {passive: false});
+		}.bind(this));
+	}
+
+	/**
+	 * Stops listening to all inputs and releases all actions.
+	 */
+	detach() {
+		if (this.target) {
+			this.target.removeEventListener("keydown", this.onKeyDown);
+			this.target.removeEventListener("keyup", this.onKeyUp);
+			window.removeEventListener("blur", this.onBlur);
+			["touchstart", "touchmove", "touchend", "touchcancel"].forEach(function(name) {
+				this.canvas.removeEventListener(name, this.onTouch, {passive: false});
+			}.bind(this));
+		}
+		this.target = null;
+		this.canvas = null;
+		this.clear();
+	}
+
+	/**
+	 * Releases all actions.
+	 */
+	clear() {
+		this.pressedKeys.clear();
+		this.touches = {};
+		Object.keys(this.sources).forEach(function(source) {
+			this.sources[source].clear();
+		}.bind(this));
+		this.refresh();
+	}
+
+	/**
+	 * Sets default keys and gamepad buttons for all actions.
+	 */
+	resetBindings() {
+		Object.keys(InputConstants.KEYS).forEach(function(action) {
+			this.keys[action] = InputConstants.KEYS[action].slice();
+		}.bind(this));
+		Object.keys(InputConstants.GAMEPAD_BUTTONS).forEach(function(action) {
+			this.buttons[action] = InputConstants.GAMEPAD_BUTTONS[action].slice();
+		}.bind(this));
+	}
+
+	/**
+	 * Binds key to action. Action can have more keys.
+	 *
+	 * @param {Action} action	Action.
+	 * @param {string} key		Value of KeyboardEvent.code (for example "KeyW") or KeyboardEvent.key (for example "w").
+	 */
+	bind(action, key) {
+		if (!(action in this.keys)) {
+			this.keys[action] = [];
+		}
+		if (this.keys[action].indexOf(key) == -1) {
+			this.keys[action].push(key);
+		}
+	}
+
+	/**
+	 * Removes key from action. If key is not given, all keys of action are removed.
+	 *
+	 * @param {Action} action	Action.
+	 * @param {string} [key]	Key to remove.
+	 */
+	unbind(action, key) {
+		if (!(action in this.keys)) {
+			return;
+		}
+		if (key === undefined) {
+			this.keys[action] = [];
+			return;
+		}
+		var index = this.keys[action].indexOf(key);
+		if (index != -1) {
+			this.keys[action].splice(index, 1);
+		}
+	}
+
+	/**
+	 * Binds button of gamepad to action.
+	 *
+	 * @param {Action} action	Action.
+	 * @param {number} button	Index of button in standard gamepad mapping.
+	 */
+	bindButton(action, button) {
+		if (!(action in this.buttons)) {
+			this.buttons[action] = [];
+		}
+		if (this.buttons[action].indexOf(button) == -1) {
+			this.buttons[action].push(button);
+		}
+	}
+
+	/**
+	 * Returns actions that are bound to key.
+	 *
+	 * @param {string} code	Value of KeyboardEvent.code.
+	 * @param {string} key	Value of KeyboardEvent.key.
+	 * @returns {Action[]} Actions of key.
+	 */
+	actionsOfKey(code, key) {
+		return Object.keys(this.keys).filter(function(action) {
+			return this.keys[action].indexOf(code) != -1 || this.keys[action].indexOf(key) != -1;
+		}.bind(this)).map(Number);
+	}
+
+	/**
+	 * Handles keydown event.
+	 *
+	 * @param {Object} event Keyboard event.
+	 */
+	onKeyDown(event) {
+		var actions = this.actionsOfKey(event.code, event.key);
+		if (actions.length == 0) {
+			return;
+		}
+		// Keys of the game should not scroll the page
+		event.preventDefault();
+		// Actions are kept by physical key, because key value can differ on release (for example with shift)
+		this.pressedKeys.set(event.code || event.key, actions);
+		this.updateKeyboard();
+	}
+
+	/**
+	 * Handles keyup event.
+	 *
+	 * @param {Object} event Keyboard event.
+	 */
+	onKeyUp(event) {
+		this.pressedKeys.delete(event.code || event.key);
+		this.updateKeyboard();
+	}
+
+	/**
+	 * Sets actions of keyboard by pressed keys.
+	 */
+	updateKeyboard() {
+		var actions = this.sources.keyboard;
+		actions.clear();
+		this.pressedKeys.forEach(function(keyActions) {
+			keyActions.forEach(function(action) {
+				actions.add(action);
+			});
+		});
+		this.refresh();
+	}
+
+	/**
+	 * Handles all touch events of canvas. Touch on on-screen control presses its action.
+	 * Swipe outside of controls moves in direction of swipe until finger is lifted and tap is action.
+	 *
+	 * @param {Object} event Touch event.
+	 */
+	onTouch(event) {
+		event.preventDefault();
+		if (this.touchControls == "auto") {
+			this.touchControls = true;
+		}
+		var rect = this.canvas.getBoundingClientRect();
+		Array.from(event.changedTouches).forEach(function(touch) {
+			var x = touch.clientX - rect.left;
+			var y = touch.clientY - rect.top;
+			if (event.type == "touchend" || event.type == "touchcancel") {
+				var ended = this.touches[touch.identifier];
+				delete this.touches[touch.identifier];
+				// Short touch without swipe is action
+				if (ended && ended.swipe && ended.action === null && event.type == "touchend") {
+					this.tap(Action.ACTION);
+				}
+				return;
+			}
+
+			var control = this.controlAt(x, y, rect.width, rect.height);
+			var state = this.touches[touch.identifier];
+			if (!state) {
+				state = {startX: x, startY: y, swipe: control === null, action: null};
+				this.touches[touch.identifier] = state;
+			}
+			if (!state.swipe) {
+				state.action = control;
+			} else {
+				var dx = x - state.startX;
+				var dy = y - state.startY;
+				if (Math.max(Math.abs(dx), Math.abs(dy)) > InputConstants.SWIPE_DISTANCE) {
+					if (Math.abs(dx) > Math.abs(dy)) {
+						state.action = (dx > 0) ? Action.RIGHT : Action.LEFT;
+					} else {
+						state.action = (dy > 0) ? Action.DOWN : Action.UP;
+					}
+				}
+			}
+		}.bind(this));
+
+		var actions = this.sources.touch;
+		actions.clear();
+		Object.keys(this.touches).forEach(function(id) {
+			if (this.touches[id].action !== null) {
+				actions.add(this.touches[id].action);
+			}
+		}.bind(this));
+		this.refresh();
+	}
+
+	/**
+	 * Presses and immediately releases action.
+	 *
+	 * @param {Action} action Action.
+	 */
+	tap(action) {
+		this.pending.add(action);
+		this.emit("press", action);
+		this.emit("release", action);
+	}
+
+	/**
+	 * Returns positions of on-screen controls.
+	 *
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 * @returns {Object[]} Controls with action, center and radius.
+	 */
+	getControls(width, height) {
+		var size = Math.min(width, height) * InputConstants.TOUCH_SIZE;
+		var padX = size * 1.6;
+		var padY = height - size * 1.6;
+		return [
+			{action: Action.LEFT, x: padX - size, y: padY, radius: size / 2, label: "◀"},
+			{action: Action.UP, x: padX, y: padY - size, radius: size / 2, label: "▲"},
+			{action: Action.RIGHT, x: padX + size, y: padY, radius: size / 2, label: "▶"},
+			{action: Action.DOWN, x: padX, y: padY + size, radius: size / 2, label: "▼"},
+			{action: Action.ACTION, x: width - padX, y: padY, radius: size * 0.7, label: "A"},
+			{action: Action.PAUSE, x: width - size * 0.6, y: size * 0.6, radius: size / 3, label: "II"}
+		];
+	}
+
+	/**
+	 * Finds on-screen control at position.
+	 *
+	 * @param {number} x		X coordinate in pixels.
+	 * @param {number} y		Y coordinate in pixels.
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 * @returns {Action} Action of control or null.
+	 */
+	controlAt(x, y, width, height) {
+		if (this.touchControls !== true) {
+			return null;
+		}
+		var controls = this.getControls(width, height);
+		for (var i = 0; i < controls.length; i++) {
+			var dx = x - controls[i].x;
+			var dy = y - controls[i].y;
+			if (Math.sqrt(dx * dx + dy * dy) <= controls[i].radius) {
+				return controls[i].action;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Reads state of connected gamepads.
+	 */
+	pollGamepads() {
+		var actions = this.sources.gamepad;
+		actions.clear();
+		var gamepads = (navigator.getGamepads) ? navigator.getGamepads() : [];
+		Array.from(gamepads).forEach(function(gamepad) {
+			if (!gamepad) {
+				return;
+			}
+			Object.keys(this.buttons).forEach(function(action) {
+				this.buttons[action].forEach(function(button) {
+					if (gamepad.buttons[button] && gamepad.buttons[button].pressed) {
+						actions.add(Number(action));
+					}
+				});
+			}.bind(this));
+
+			// Left stick
+			var deadZone = InputConstants.GAMEPAD_DEAD_ZONE;
+			if (gamepad.axes.length >= 2) {
+				if (gamepad.axes[0] < -deadZone) actions.add(Action.LEFT);
+				if (gamepad.axes[0] > deadZone) actions.add(Action.RIGHT);
+				if (gamepad.axes[1] < -deadZone) actions.add(Action.UP);
+				if (gamepad.axes[1] > deadZone) actions.add(Action.DOWN);
+			}
+		}.bind(this));
+		this.refresh();
+	}
+
+	/**
+	 * Combines actions of all sources and emits press and release events.
+	 */
+	refresh() {
+		var down = new Set();
+		Object.keys(this.sources).forEach(function(source) {
+			this.sources[source].forEach(function(action) {
+				// Real inputs can only control the view while game is replayed
+				if (!this.replayed || !Input.isRecorded(action)) {
+					down.add(action);
+				}
+			}.bind(this));
+		}.bind(this));
+		if (this.replayed) {
+			this.replayed.down.forEach(function(action) {
+				down.add(action);
+			});
+		}
+
+		this.down.forEach(function(action) {
+			if (!down.has(action)) {
+				this.order = this.order.filter(function(other) {
+					return other != action;
+				});
+				this.emit("release", action);
+			}
+		}.bind(this));
+		var previous = this.down;
+		this.down = down;
+		down.forEach(function(action) {
+			if (!previous.has(action)) {
+				this.order.push(action);
+				this.pending.add(action);
+				this.emit("press", action);
+			}
+		}.bind(this));
+	}
+
+	/**
+	 * Polls gamepads and remembers actions pressed since last update.
+	 * It is called once on every animation frame.
+	 */
+	update() {
+		this.pollGamepads();
+		this.fresh = this.pending;
+		this.pending = new Set();
+		if (this.replayed) {
+			this.replayed.pressed.forEach(function(action) {
+				this.fresh.add(action);
+			}.bind(this));
+		}
+	}
+
+	/**
+	 * Checks if action changes the game and has to be recorded. Pausing and minimap
+	 * only change the view, so they are not recorded.
+	 *
+	 * @param {Action} action Action.
+	 * @returns {boolean} True if action is recorded.
+	 */
+	static isRecorded(action) {
+		return action != Action.PAUSE && action != Action.MAP;
+	}
+
+	/**
+	 * Returns state of recorded actions.
+	 *
+	 * @returns {InputState} Actions held down and actions pressed since last update.
+	 */
+	snapshot() {
+		return {
+			down: this.order.filter(Input.isRecorded),
+			pressed: Array.from(this.fresh).filter(Input.isRecorded)
+		};
+	}
+
+	/**
+	 * Replaces real inputs with recorded state. Real inputs are used again if state is null.
+	 *
+	 * @param {InputState} state State returned by snapshot or null.
+	 */
+	restore(state) {
+		this.replayed = state ? {down: state.down.slice(), pressed: state.pressed.slice()} : null;
+		this.refresh();
+		if (state) {
+			this.fresh = new Set(state.pressed);
+			state.down.forEach(function(action) {
+				this.pending.delete(action);
+			}.bind(this));
+		}
+	}
+
+	/**
+	 * Checks if action is held down.
+	 *
+	 * @param {Action} action Action.
+	 * @returns {boolean} True if action is held down.
+	 */
+	isDown(action) {
+		return this.down.has(action);
+	}
+
+	/**
+	 * Checks if action was pressed before last update.
+	 *
+	 * @param {Action} action Action.
+	 * @returns {boolean} True if action was pressed.
+	 */
+	wasPressed(action) {
+		return this.fresh.has(action);
+	}
+
+	/**
+	 * Checks if action was pressed and forgets it, so it is handled only once.
+	 *
+	 * @param {Action} action Action.
+	 * @returns {boolean} True if action was pressed.
+	 */
+	consume(action) {
+		return this.fresh.delete(action);
+	}
+
+	/**
+	 * Returns direction of last pressed moving action that is still held down.
+	 *
+	 * @returns {Direction} Direction of moving.
+	 */
+	getDirection() {
+		for (var i = this.order.length - 1; i >= 0; i--) {
+			if (this.order[i] <= Action.DOWN) {
+				return this.order[i];
+			}
+		}
+		return Direction.NOWHERE;
+	}
+
+	/**
+	 * Draws on-screen controls if they are enabled.
+	 *
+	 * @param {Object} context	2D context of Canvas
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 */
+	draw(context, width, height) {
+		if (this.touchControls !== true) {
+			return;
+		}
+		this.getControls(width, height).forEach(function(control) {
+			context.fillStyle = this.isDown(control.action) ? "rgba(0, 0, 0, 0.5)" : "rgba(0, 0, 0, 0.2)";
+			context.beginPath();
+			context.arc(control.x, control.y, control.radius, 0, 2 * Math.PI);
+			context.fill();
+			context.fillStyle = "#fff";
+			context.font = Math.round(control.radius) + "px Tahoma";
+			context.textAlign = "center";
+			context.textBaseline = "middle";
+			context.fillText(control.label, control.x, control.y);
+		}.bind(this));
+		context.textBaseline = "alphabetic";
+		context.fillStyle = "#000";
+	}
+}
+
+/**
+ * State of recorded actions.
+ *
+ * @typedef {Object} InputState
+ * @property {Action[]} down		Actions held down, in order in which they were pressed.
+ * @property {Action[]} pressed		Actions pressed since last update.
+ *//**
+ * Inventory holds items that player picked up. Items of the same kind are stacked,
+ * kinds are kept in order in which they were picked up.
+ *
+ * @property {Player} owner	Player that carries the inventory.
+ * @property {Object[]} slots	Stacks of items with their kind.
+ * @since 1.1.0
+ */
+class Inventory {
+
+	/**
+	 * Constructor for Inventory.
+	 *
+	 * @param {Player} owner Player that carries the inventory.
+	 */
+	constructor(owner) {
+		this.owner = owner;
+		this.slots = [];
+	}
+
+	/**
+	 * Finds stack of items of kind.
+	 *
+	 * @param {string} kind Kind of items.
+	 * @returns {Object} Slot with kind and items or null.
+	 */
+	slot(kind) {
+		return this.slots.find(function(slot) {
+			return slot.kind == kind;
+		}) || null;
+	}
+
+	/**
+	 * Adds item to inventory.
+	 *
+	 * @param {Collectible} item Item to add.
+	 */
+	add(item) {
+		var slot = this.slot(item.kind);
+		if (!slot) {
+			slot = {kind: item.kind, items: []};
+			this.slots.push(slot);
+		}
+		slot.items.push(item);
+	}
+
+	/**
+	 * Returns number of items of kind.
+	 *
+	 * @param {string} kind Kind of items.
+	 * @returns {number} Number of items.
+	 */
+	count(kind) {
+		var slot = this.slot(kind);
+		return slot ? slot.items.length : 0;
+	}
+
+	/**
+	 * Checks if inventory contains enough items of kind.
+	 *
+	 * @param {string} kind				Kind of items.
+	 * @param {number} [count = 1]		Required number of items.
+	 * @returns {boolean} True if there are enough items.
+	 */
+	has(kind, count = 1) {
+		return this.count(kind) >= count;
+	}
+
+	/**
+	 * Returns kinds of items in inventory.
+	 *
+	 * @returns {string[]} Kinds of items.
+	 */
+	kinds() {
+		return this.slots.map(function(slot) {
+			return slot.kind;
+		});
+	}
+
+	/**
+	 * Removes items of kind from inventory. Nothing is removed if there are not enough items.
+	 *
+	 * @param {string} kind				Kind of items.
+	 * @param {number} [count = 1]		Number of items to remove.
+	 * @returns {Collectible[]} Removed items.
+	 */
+	take(kind, count = 1) {
+		if (!this.has(kind, count)) {
+			return [];
+		}
+		var slot = this.slot(kind);
+		var items = slot.items.splice(slot.items.length - count, count);
+		if (slot.items.length == 0) {
+			this.slots.splice(this.slots.indexOf(slot), 1);
+		}
+		return items;
+	}
+
+	/**
+	 * Uses item of kind. Consumable item is removed from inventory.
+	 *
+	 * @param {string} kind Kind of item.
+	 * @returns {boolean} True if item was used.
+	 */
+	use(kind) {
+		var slot = this.slot(kind);
+		if (!slot) {
+			return false;
+		}
+		var item = slot.items[slot.items.length - 1];
+		if (item.consumable) {
+			this.take(kind);
+		}
+		item.onUse(this.owner);
+		this.owner.emit("use", item);
+		return true;
+	}
+
+	/**
+	 * Drops item of kind in room of owner, at position of owner.
+	 *
+	 * @param {string} kind Kind of item.
+	 * @returns {Collectible} Dropped item or null.
+	 */
+	drop(kind) {
+		var room = this.owner.room;
+		if (!room || !this.has(kind)) {
+			return null;
+		}
+		var item = this.take(kind)[0];
+		// Owner does not pick item up again until it steps away
+		item.droppedBy = this.owner;
+		room.addItem(item);
+		item.x = this.owner.x + (this.owner.width - item.width) / 2;
+		item.y = this.owner.y + (this.owner.height - item.height) / 2;
+		this.owner.emit("drop", item);
+		return item;
+	}
+
+	/**
+	 * Removes all items.
+	 */
+	clear() {
+		this.slots = [];
+	}
+
+	/**
+	 * Returns items for level format.
+	 *
+	 * @returns {ItemData[]} Data of all items.
+	 */
+	toJSON() {
+		var data = [];
+		this.slots.forEach(function(slot) {
+			slot.items.forEach(function(item) {
+				data.push(item.toJSON());
+			});
+		});
+		return data;
+	}
+
+	/**
+	 * Replaces items with items from level format.
+	 *
+	 * @param {ItemData[]} data Data of items.
+	 */
+	load(data) {
+		this.clear();
+		data.forEach(function(itemData) {
+			this.add(Items.fromJSON(itemData));
+		}.bind(this));
+	}
+
+	/**
+	 * Draws strip with one icon and count for each kind of items.
+	 *
+	 * @param {Object} context	2D context of Canvas
+	 * @param {number} left		Left side of strip in pixels.
+	 * @param {number} top		Top side of strip in pixels.
+	 * @param {number} size		Size of icon in pixels.
+	 */
+	draw(context, left, top, size) {
+		context.font = size + "px " + TextConstants.FONT;
+		context.textAlign = "left";
+		context.textBaseline = "top";
+		this.slots.forEach(function(slot) {
+			var item = slot.items[0];
+			if (!item.image || !Assets.drawImage(context, item.image, left, top, size, size)) {
+				context.fillStyle = item.color;
+				context.fillRect(left, top, size, size);
+			}
+			context.fillStyle = "#000";
+			var text = "×" + slot.items.length;
+			context.fillText(text, left + size + 2, top);
+			left += size + 2 + context.measureText(text).width + size;
+		});
+		context.textBaseline = "alphabetic";
+	}
+}
+
+/**
+ * Enum for moving type. 
+ * @enum {number}
+ */
+const Moving = Object.freeze({
+	/** Moving is changed by user request */
+	FREE: 0,
+	/** Random direction. */
+	RANDOM:	1,
+	/** Moving in vertical direction */
+	VERTICAL: 2,
+	/** Moving from in horizontal direction. */
+	HORIZONTAL: 3,
+	/** Following the user. */
+	FOLLOWING: 4,
+	/** Hiding from user, to be hard to catch. */
+	HIDING: 5,
+	/**  Item is not moving. */
+	FIXED: 6
+});
+
+/**
+ * Interface for items that are placed in room. 
+ *
+ * @property {number} width  Width of item in percents.
+ * @property {number} height Height of item in percents.
+ * @property {number} x      X coordinate of item in percents.
+ * @property {number} y      Y coordinate of item in percents.
+ * @property {Moving} moving Moving type of item.
+ * @property {number} speed  Distance in percents that item moves in one second.
+ * @property {Direction} direction Current direction of moving.
+ * @property {boolean} solid Solid items block movement of other items, others only trigger collisions.
+ * @property {string} color  Color of item.
+ * @property {string} image  Url of image of item or null.
+ * @property {SpriteData} sprite Animated spritesheet of item or null. It is used instead of image.
+ * @property {Room} room   Room where item is located.
+ * @property {Game} game   Game of room where item is located.
+ * @fires Item#touch
+ * @fires Item#separate
+ * @extends {EventEmitter}
+ * @since 1.0.0
+ */
+class Item extends EventEmitter {
+	
+	/**
+	 * Constructor of class Item
+	 *
+	 * @param {number} width  Width of item in percents.
+	 * @param {number} height Height of item in percents. 
+	 */
+	constructor(width, height) {
+		super();
+		this.moving = Moving.RANDOM;
+		this.speed = 0.3;
+		this.direction = Direction.NOWHERE;
+		this.solid = false;
+		this.color = "#000";
+		this.image = null;
+		this.sprite = null;
+		this.room = null;
+		this.width = width;
+		this.height = height;
+		this.x = 0;
+		this.y = 0;
+	}
+	
+	/**
+	 * Returns game of room where item is located.
+	 *
+	 * @returns {Game} Game or null if item is not in room of any game.
+	 */
+	get game() {
+		return this.room ? this.room.game : null;
+	}
+
+	/**
+	 * Places item in room.  It is called when we place
+	 * item in room before first update call. Item is not placed
+	 * inside walls if there is enough free space.
+	 *
+	 * @param {Room} room Room where item is located.
+	 */
+	place(room) {
+		for (var i = 0; i < 20; i++) {
+			this.x = room.random.range(0, room.width - this.width);
+			this.y = room.random.range(0, room.height - this.height);
+			if (room.solidsTouching(this).length == 0) {
+				return;
+			}
+		}
+	}
+	
+	/**
+	 * Updates location and other properties of item.
+	 * It is called on every simulation step.
+	 *
+	 * @param {Room} room	Room where item is located.
+	 * @param {number} dt	Length of simulation step in seconds.
+	 */
+	update(room, dt) {
+		Movement.move(this, room, dt);
+	}
+
+	/**
+	 * Checks if this item overlaps with another item.
+	 *
+	 * @param {Item} other Another item.
+	 * @returns {boolean} True if rectangles of items overlap.
+	 */
+	touches(other) {
+		return this.x < other.x + other.width && other.x < this.x + this.width &&
+			this.y < other.y + other.height && other.y < this.y + this.height;
+	}
+
+	/**
+	 * Returns data of item for level format. Subclasses add their own properties.
+	 *
+	 * @returns {ItemData} Data of item.
+	 */
+	toJSON() {
+		var data = {
+			type: Items.typeOf(this),
+			x: this.x,
+			y: this.y,
+			width: this.width,
+			height: this.height,
+			moving: this.moving,
+			speed: this.speed,
+			solid: this.solid
+		};
+		if (this.turnChance !== undefined) {
+			data.turnChance = this.turnChance;
+		}
+		data.color = this.color;
+		if (this.image) {
+			data.image = this.image;
+		}
+		if (this.sprite) {
+			data.sprite = this.sprite;
+		}
+		return data;
+	}
+
+	/**
+	 * Called by room when this item starts touching another item.
+	 *
+	 * @param {Item} other Item that this item collided with.
+	 */
+	onCollide(other) {
+	}
+
+	/**
+	 * Called by room when this item stops touching another item.
+	 *
+	 * @param {Item} other Item that this item was touching.
+	 */
+	onSeparate(other) {
+	}
+	
+	/**
+	 * Draws object on canvas. Sprite is drawn if item has it, then image and color.
+	 * 
+	 * @param {Object} context	2D context of Canvas
+	 * @param {number} size		Size of canvas in pixels
+	 */
+	draw(context, size) {
+		var x = this.x * size;
+		var y = this.y * size;
+		var width = this.width * size;
+		var height = this.height * size;
+		if (this.sprite && this.drawSprite(context, x, y, width, height)) {
+			return;
+		}
+		if (this.image && Assets.drawImage(context, this.image, x, y, width, height)) {
+			return;
+		}
+		context.fillStyle = this.color;
+		context.beginPath();
+		context.fillRect(x, y, width, height)
+		context.fill();
+		context.fillStyle = "#000";
+	}
+
+	/**
+	 * Draws current frame of sprite. Item that stands still shows first frame
+	 * of direction where it moved last time.
+	 *
+	 * @param {Object} context	2D context of Canvas
+	 * @param {number} x		X coordinate of item in pixels.
+	 * @param {number} y		Y coordinate of item in pixels.
+	 * @param {number} width	Width of item in pixels.
+	 * @param {number} height	Height of item in pixels.
+	 * @returns {boolean} True if sprite was drawn.
+	 */
+	drawSprite(context, x, y, width, height) {
+		var sprite = this.sprite;
+		if (!Assets.loaded(sprite.image)) {
+			return false;
+		}
+		var image = Assets.image(sprite.image);
+		var columns = Math.max(1, Math.floor(image.naturalWidth / sprite.width));
+
+		var moving = this.direction != Direction.NOWHERE;
+		if (moving) {
+			this.facing = this.direction;
+		}
+		var facing = (this.facing === undefined) ? Direction.DOWN : this.facing;
+		var frames = sprite.frames && sprite.frames[facing];
+		if (!frames || frames.length == 0) {
+			// Each row is one direction
+			frames = [];
+			var row = Math.min(facing, Math.floor(image.naturalHeight / sprite.height) - 1);
+			for (var i = 0; i < columns; i++) {
+				frames.push(Math.max(row, 0) * columns + i);
+			}
+		}
+
+		var time = this.game ? this.game.time : 0;
+		var fps = (sprite.fps === undefined) ? 8 : sprite.fps;
+		var frame = moving ? frames[Math.floor(time * fps) % frames.length] : frames[0];
+		context.drawImage(image,
+			(frame % columns) * sprite.width, Math.floor(frame / columns) * sprite.height, sprite.width, sprite.height,
+			x, y, width, height);
+		return true;
+	}
+}/**
+ * Enum for levels of log entries. Entries with lower level than Logger.level are ignored.
+ * @enum {number}
+ */
+const LogLevel = Object.freeze({
+	/** Detailed information for debugging. */
+	DEBUG: 0,
+	/** Ordinary messages. */
+	LOG: 1,
+	/** Information about state of the game. */
+	INFO: 2,
+	/** Problems that do not stop the game. */
+	WARN: 3,
+	/** Errors and exceptions. */
+	ERROR: 4
+});
+
+/**
+ * Entry of log. Entries are plain objects, so they can be sent to parent page.
+ *
+ * @typedef {Object} LogEntry
+ * @property {string} level		Name of level of entry (DEBUG, LOG, INFO, WARN or ERROR).
+ * @property {number} time		Timestamp of entry in milliseconds.
+ * @property {string} message	Arguments of entry joined with colons.
+ * @property {string} source	"script" if entry comes from script of the game, "engine" otherwise.
+ * @property {number} [line]	Line in script of the game where entry comes from.
+ * @property {number} [column]	Column in script of the game where entry comes from.
+ *//**
+ * Static object for logging data and errors.
+ * It supports multiple levels of error logging. Entries are kept in Logger.entries and
+ * when game runs inside of a frame, they are sent to parent page with postMessage
+ * as {type: "ne-log", entry: LogEntry}. Uncaught errors are logged too.
+ *
+ * @since 1.0.0
+ */
+class Logger {
+
+	/**
+	 * Logs arguments received to console separated by spaces.
+	 *
+	 * @param {Array} args	Arguments to log to console
+	 */
+	static log(...args) {
+		if (Logger.write(LogLevel.LOG, args)) {
+			console.log("[LOG] " + args.join(": "));
+		}
+	}
+
+	/**
+	 * Logs arguments received to console separated by spaces.
+	 *
+	 * @param {Array} args	Arguments to log to console
+	 */
+	static error(...args) {
+		if (Logger.write(LogLevel.ERROR, args)) {
+			console.error("[ERROR] " + args.join(": "));
+		}
+	}
+
+	/**
+	 * Logs arguments received to console separated by spaces.
+	 *
+	 * @param {Array} args	Arguments to log to console
+	 */
+	static debug(...args) {
+		if (Logger.write(LogLevel.DEBUG, args)) {
+			console.debug("[DEBUG] " + args.join(": "));
+		}
+	}
+
+	/**
+	 * Logs arguments received to console separated by spaces.
+	 *
+	 * @param {Array} args	Arguments to log to console
+	 */
+	static info(...args) {
+		if (Logger.write(LogLevel.INFO, args)) {
+			console.info("[INFO] " + args.join(": "));
+		}
+	}
+
+	/**
+	 * Logs arguments received to console separated by spaces.
+	 *
+	 * @param {Array} args	Arguments to log to console
+	 */
+	static warn(...args) {
+		if (Logger.write(LogLevel.WARN, args)) {
+			console.warn("[WARNING] " + args.join(": "));
+		}
+	}
+
+	/**
+	 * Creates entry of log, keeps it and sends it to parent page.
+	 *
+	 * @param {LogLevel} level	Level of entry.
+	 * @param {Array} args		Arguments of entry, location is taken from error among them.
+	 * @param {Object} [location]	Location of entry in script, it is used if stack trace does not point to script.
+	 * @returns {LogEntry} New entry or null if level is lower than Logger.level.
+	 */
+	static write(level, args, location) {
+		if (level < Logger.level) {
+			return null;
+		}
+		var error = args.find(function(arg) {
+			return arg instanceof Error;
+		});
+		var entry = Object.assign({
+			level: Object.keys(LogLevel).find(function(name) {
+				return LogLevel[name] == level;
+			}),
+			time: Date.now(),
+			message: args.join(": ")
+		}, Logger.locate(error ? error.stack : new Error().stack));
+		if (entry.source != "script" && location) {
+			Object.assign(entry, location);
+		}
+
+		Logger.entries.push(entry);
+		while (Logger.entries.length > Logger.limit) {
+			Logger.entries.shift();
+		}
+		if (typeof window != "undefined" && window.parent && window.parent !== window) {
+			window.parent.postMessage({type: "ne-log", entry: entry}, "*");
+		}
+		return entry;
+	}
+
+	/**
+	 * Finds where in script of the game stack trace comes from. Script is recognized
+	 * by Logger.scriptName, which it gets with sourceURL comment.
+	 *
+	 * @param {string} [stack]	Stack trace of error.
+	 * @returns {{source: string, line: number, column: number}} Location of entry.
+	 */
+	static locate(stack) {
+		var frames = (stack || "").split("\n");
+		for (var i = 0; i < frames.length; i++) {
+			// Frames look like "at start (script.js:5:3)" or "start@script.js:5:3"
+			var match = /([^\s(@]+):(\d+):(\d+)\)?\s*$/.exec(frames[i]);
+			if (match && match[1].endsWith(Logger.scriptName)) {
+				return {source: "script", line: Number(match[2]), column: Number(match[3])};
+			}
+		}
+		return {source: "engine"};
+	}
+
+	/**
+	 * Logs uncaught error or rejected promise without writing it to console again.
+	 * Syntax errors have no stack trace in script, so their location is taken from event.
+	 *
+	 * @param {(ErrorEvent|PromiseRejectionEvent)} event Event of uncaught error.
+	 */
+	static uncaught(event) {
+		var error = ("reason" in event) ? event.reason : (event.error || event.message);
+		var place = null;
+		// Script of the game starts on the first line of document, so lines of document are lines of script
+		var inScript = event.filename && (event.filename.endsWith(Logger.scriptName) ||
+			(window.location && event.filename == window.location.href));
+		if (inScript && event.lineno) {
+			place = {source: "script", line: event.lineno, column: event.colno};
+		}
+		Logger.write(LogLevel.ERROR, ["Uncaught error", error], place);
+	}
+
+}
+
+/** Entries with lower level are ignored. */
+Logger.level = LogLevel.DEBUG;
+/** Entries of log, the oldest are removed when there are more than Logger.limit of them. */
+Logger.entries = [];
+/** Maximal number of kept entries. */
+Logger.limit = 1000;
+/** Name of script of the game in stack traces, it is given by sourceURL comment of script. */
+Logger.scriptName = "script.js";
+
+window.addEventListener("error", Logger.uncaught, false);
+window.addEventListener("unhandledrejection", Logger.uncaught, false);
+/**
+ * Creates new game in body of document.
+ */
+document.addEventListener("DOMContentLoaded", startNewGame, false);
+
+/**
+ * Creates and starts new game in body of document. User script is function start,
+ * it gets the game, its main room and player as arguments (mainGame, mainRoom, mainPlayer).
+ *
+ * @returns {Game} New game.
+ */
+function startNewGame () {
+	var game = new Game(document.body, typeof start == "function" ? start : null);
+	game.start();
+	return game;
+}/**
+ * Minimap shows rooms of the game on a grid. Rooms are placed by directions of their doors
+ * starting from the main room. It shows visited and unvisited rooms, current room and doors between them.
+ *
+ * @property {boolean} enabled	Minimap can be shown only if it is enabled.
+ * @property {boolean} visible	True if minimap is shown.
+ * @property {string} reveal	Which rooms are shown: "all", "adjacent" (visited rooms and their neighbours) or "visited".
+ * @property {Set.<Room>} visited	Rooms where player has been.
+ * @property {Set.<Room>} revealed	Rooms revealed by script.
+ * @since 1.1.0
+ */
+class Minimap {
+
+	/**
+	 * Constructor for Minimap.
+	 */
+	constructor() {
+		this.enabled = true;
+		this.visible = false;
+		this.reveal = "adjacent";
+		this.visited = new Set();
+		this.revealed = new Set();
+	}
+
+	/**
+	 * Forgets visited and revealed rooms.
+	 */
+	reset() {
+		this.visited.clear();
+		this.revealed.clear();
+	}
+
+	/**
+	 * Shows minimap.
+	 */
+	show() {
+		this.visible = true;
+	}
+
+	/**
+	 * Hides minimap.
+	 */
+	hide() {
+		this.visible = false;
+	}
+
+	/**
+	 * Shows minimap if it is hidden and hides it if it is shown.
+	 */
+	toggle() {
+		this.visible = !this.visible;
+	}
+
+	/**
+	 * Marks room as visited.
+	 *
+	 * @param {Room} room Visited room.
+	 */
+	visit(room) {
+		this.visited.add(room);
+	}
+
+	/**
+	 * Reveals rooms on minimap even if player has not been there.
+	 *
+	 * @param {...Room} rooms Rooms to reveal.
+	 */
+	revealRoom(...rooms) {
+		rooms.forEach(function(room) {
+			this.revealed.add(room);
+		}.bind(this));
+	}
+
+	/**
+	 * Places rooms on grid by directions of doors. Room is placed next to the first room
+	 * it is reached from. If the cell is already taken, room is moved to the nearest free cell
+	 * in the same row or column.
+	 *
+	 * @param {Room} start Room placed at position 0, 0.
+	 * @returns {{positions: Map.<Room, Object>, conflicts: Object[]}} Positions of rooms and doors that do not match the grid.
+	 */
+	static layout(start) {
+		var positions = new Map();
+		var cells = {};
+		var conflicts = [];
+		var offsets = {};
+		offsets[Direction.LEFT] = {x: -1, y: 0};
+		offsets[Direction.UP] = {x: 0, y: -1};
+		offsets[Direction.RIGHT] = {x: 1, y: 0};
+		offsets[Direction.DOWN] = {x: 0, y: 1};
+
+		var place = function(room, x, y) {
+			positions.set(room, {x: x, y: y});
+			cells[x + "," + y] = room;
+		};
+		place(start, 0, 0);
+
+		var queue = [start];
+		while (queue.length > 0) {
+			var room = queue.shift();
+			var position = positions.get(room);
+			Object.keys(room.rooms).forEach(function(direction) {
+				var offset = offsets[direction];
+				room.rooms[direction].forEach(function(next) {
+					var x = position.x + offset.x;
+					var y = position.y + offset.y;
+					if (positions.has(next)) {
+						// Rooms spread across the wall only have to be in the right row or column
+						var placed = positions.get(next);
+						var matches = (offset.x != 0) ? placed.x == x : placed.y == y;
+						var reported = conflicts.some(function(conflict) {
+							return conflict.room == next && conflict.other == room;
+						});
+						if (!matches && !reported) {
+							conflicts.push({room: room, other: next, direction: Number(direction)});
+						}
+						return;
+					}
+					// Find free cell, more doors in one direction are spread across the wall
+					for (var shift = 1; (x + "," + y) in cells; shift++) {
+						var side = (shift % 2 == 0) ? shift / 2 : -(shift + 1) / 2;
+						x = position.x + offset.x + (offset.x == 0 ? side : 0);
+						y = position.y + offset.y + (offset.y == 0 ? side : 0);
+					}
+					place(next, x, y);
+					queue.push(next);
+				});
+			});
+		}
+		return {positions: positions, conflicts: conflicts};
+	}
+
+	/**
+	 * Checks if room should be drawn on minimap.
+	 *
+	 * @param {Room} room Room to check.
+	 * @returns {boolean} True if room is shown.
+	 */
+	isShown(room) {
+		if (this.reveal == "all" || this.visited.has(room) || this.revealed.has(room)) {
+			return true;
+		}
+		if (this.reveal != "adjacent") {
+			return false;
+		}
+		var directions = Object.keys(room.rooms);
+		for (var i = 0; i < directions.length; i++) {
+			var neighbours = room.rooms[directions[i]];
+			for (var j = 0; j < neighbours.length; j++) {
+				if (this.visited.has(neighbours[j])) {
+					return true;
+				}
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Draws minimap in top right corner of canvas.
+	 *
+	 * @param {Object} context	2D context of Canvas
+	 * @param {Game} game		Game with rooms.
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 */
+	draw(context, game, width, height) {
+		if (!this.enabled || !this.visible) {
+			return;
+		}
+		var positions = Minimap.layout(game.mainRoom).positions;
+		var shown = Array.from(positions.keys()).filter(this.isShown.bind(this));
+		if (shown.length == 0) {
+			return;
+		}
+
+		// Find bounds of shown rooms
+		var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+		shown.forEach(function(room) {
+			var position = positions.get(room);
+			minX = Math.min(minX, position.x);
+			minY = Math.min(minY, position.y);
+			maxX = Math.max(maxX, position.x);
+			maxY = Math.max(maxY, position.y);
+		});
+
+		var area = Math.min(width, height) * 0.3;
+		var cell = Math.min(area / (maxX - minX + 1), area / (maxY - minY + 1), 30);
+		var mapWidth = cell * (maxX - minX + 1);
+		var mapHeight = cell * (maxY - minY + 1);
+		var left = width - mapWidth - 10;
+		var top = 10;
+		var center = function(room) {
+			var position = positions.get(room);
+			return {
+				x: left + (position.x - minX + 0.5) * cell,
+				y: top + (position.y - minY + 0.5) * cell
+			};
+		};
+
+		context.fillStyle = "rgba(255, 255, 255, 0.8)";
+		context.fillRect(left - 5, top - 5, mapWidth + 10, mapHeight + 10);
+
+		// Draw connections between shown rooms
+		context.lineWidth = Math.max(1, cell / 10);
+		shown.forEach(function(room) {
+			Object.keys(room.rooms).forEach(function(direction) {
+				room.rooms[direction].forEach(function(next, i) {
+					if (shown.indexOf(next) == -1) {
+						return;
+					}
+					var from = center(room);
+					var to = center(next);
+					context.strokeStyle = room.doors[direction][i].getColor();
+					context.beginPath();
+					context.moveTo(from.x, from.y);
+					context.lineTo(to.x, to.y);
+					context.stroke();
+				});
+			});
+		});
+
+		// Draw rooms
+		var roomSize = cell * 0.6;
+		shown.forEach(function(room) {
+			var position = center(room);
+			var x = position.x - roomSize / 2;
+			var y = position.y - roomSize / 2;
+			if (room == game.currentRoom) {
+				context.fillStyle = "#06c";
+			} else if (this.visited.has(room)) {
+				context.fillStyle = "#888";
+			} else {
+				context.fillStyle = "#fff";
+			}
+			context.fillRect(x, y, roomSize, roomSize);
+			context.strokeStyle = "#000";
+			context.lineWidth = 1;
+			context.strokeRect(x, y, roomSize, roomSize);
+		}.bind(this));
+		context.fillStyle = "#000";
+	}
+}/**
+ * Static object with movement controllers for items. Controller is chosen
+ * by moving type of item and moves item for one step inside of room.
+ *
+ * @since 1.1.0
+ */
+class Movement {
+
+	/**
+	 * Moves item for one step according to its moving type.
+	 * Item is kept inside of room.
+	 *
+	 * @param {Item} item	Item to be moved.
+	 * @param {Room} room	Room where item is located.
+	 * @param {number} dt	Length of simulation step in seconds.
+	 */
+	static move(item, room, dt) {
+		switch (item.moving) {
+			case Moving.RANDOM: Movement.random(item, room, dt); break;
+			case Moving.VERTICAL: Movement.patrol(item, room, dt, Direction.UP, Direction.DOWN); break;
+			case Moving.HORIZONTAL: Movement.patrol(item, room, dt, Direction.LEFT, Direction.RIGHT); break;
+			case Moving.FOLLOWING: Movement.follow(item, room, dt, 1); break;
+			case Moving.HIDING: Movement.follow(item, room, dt, -1); break;
+			default: return;
+		}
+		Movement.clamp(item, room);
+	}
+
+	/**
+	 * Moves item in specified direction for given distance.
+	 *
+	 * @param {Item} item			Item to be moved.
+	 * @param {Direction} direction	Direction to move to.
+	 * @param {number} distance		Distance in percents.
+	 */
+	static step(item, direction, distance) {
+		item.x -= (direction == Direction.LEFT) * distance;
+		item.x += (direction == Direction.RIGHT) * distance;
+		item.y += (direction == Direction.DOWN) * distance;
+		item.y -= (direction == Direction.UP) * distance;
+	}
+
+	/**
+	 * Limits position of item with border of room.
+	 *
+	 * @param {Item} item	Item to be limited.
+	 * @param {Room} room	Room where item is located.
+	 */
+	static clamp(item, room) {
+		item.x = Math.min(room.width - item.width, Math.max(0, item.x));
+		item.y = Math.min(room.height - item.height, Math.max(0, item.y));
+	}
+
+	/**
+	 * Checks if item touches border of room in specified direction.
+	 *
+	 * @param {Item} item			Item to be checked.
+	 * @param {Room} room			Room where item is located.
+	 * @param {Direction} direction	Direction of border.
+	 * @returns {boolean} True if item is at the border.
+	 */
+	static atBorder(item, room, direction) {
+		switch (direction) {
+			case Direction.LEFT: return item.x <= 0;
+			case Direction.UP: return item.y <= 0;
+			case Direction.RIGHT: return item.x >= room.width - item.width;
+			case Direction.DOWN: return item.y >= room.height - item.height;
+		}
+		return false;
+	}
+
+	/**
+	 * Finds player in room, so that items can follow it or hide from it.
+	 *
+	 * @param {Room} room	Room where to look for player.
+	 * @returns {Player} Player in room or undefined if there is none.
+	 */
+	static findPlayer(room) {
+		return room.items.find(function(item) {
+			return item instanceof Player;
+		});
+	}
+
+	/**
+	 * Wanders in random direction. Direction is changed on average
+	 * item.turnChance (default 1.2) times per second and always when item hits the border.
+	 *
+	 * @param {Item} item	Item to be moved.
+	 * @param {Room} room	Room where item is located.
+	 * @param {number} dt	Length of simulation step in seconds.
+	 */
+	static random(item, room, dt) {
+		var turnChance = (item.turnChance === undefined) ? 1.2 : item.turnChance;
+		if (item.direction == Direction.NOWHERE || Movement.atBorder(item, room, item.direction) ||
+			room.isBlocked(item) || room.random.chance(turnChance * dt)) {
+			item.direction = room.random.integer(Direction.LEFT, Direction.DOWN);
+		}
+		Movement.step(item, item.direction, item.speed * dt);
+	}
+
+	/**
+	 * Moves back and forth between two opposite borders of room.
+	 *
+	 * @param {Item} item			Item to be moved.
+	 * @param {Room} room			Room where item is located.
+	 * @param {number} dt			Length of simulation step in seconds.
+	 * @param {Direction} first		First direction of axis.
+	 * @param {Direction} second	Second (opposite) direction of axis.
+	 */
+	static patrol(item, room, dt, first, second) {
+		if (item.direction != first && item.direction != second) {
+			item.direction = second;
+		}
+		if (Movement.atBorder(item, room, item.direction) || room.isBlocked(item)) {
+			item.direction = Direction.inverse(item.direction);
+		}
+		Movement.step(item, item.direction, item.speed * dt);
+	}
+
+	/**
+	 * Moves towards player (sign = 1) or away from player (sign = -1).
+	 * Item stays on its place if there is no player in room.
+	 *
+	 * @param {Item} item	Item to be moved.
+	 * @param {Room} room	Room where item is located.
+	 * @param {number} dt	Length of simulation step in seconds.
+	 * @param {number} sign	1 for following, -1 for hiding.
+	 */
+	static follow(item, room, dt, sign) {
+		var player = Movement.findPlayer(room);
+		if (!player) {
+			item.direction = Direction.NOWHERE;
+			return;
+		}
+
+		var dx = (player.x + player.width / 2) - (item.x + item.width / 2);
+		var dy = (player.y + player.height / 2) - (item.y + item.height / 2);
+		var distance = Math.sqrt(dx * dx + dy * dy);
+		if (distance == 0) {
+			return;
+		}
+
+		// Do not overshoot the player when following.
+		var length = (sign > 0) ? Math.min(item.speed * dt, distance) : item.speed * dt;
+		item.x += sign * dx / distance * length;
+		item.y += sign * dy / distance * length;
+
+		// Remember main direction of moving.
+		if (Math.abs(dx) > Math.abs(dy)) {
+			item.direction = (sign * dx > 0) ? Direction.RIGHT : Direction.LEFT;
+		} else {
+			item.direction = (sign * dy > 0) ? Direction.DOWN : Direction.UP;
+		}
+	}
+}/**
+ * Seedable generator of pseudo random numbers. The same seed always gives
+ * the same sequence of numbers, so levels and games can be reproduced.
+ *
+ * @property {number} seed Seed of generator.
+ * @since 1.1.0
+ */
+class Random {
+
+	/**
+	 * Constructor for Random.
+	 *
+	 * @param {number|string} [seed = Date.now()] Seed of generator. Text is hashed to number.
+	 */
+	constructor(seed = Date.now()) {
+		this.seed = seed;
+		this.state = (typeof seed == "string") ? Random.hash(seed) : (seed >>> 0);
+	}
+
+	/**
+	 * Returns hash of text, so text can be used as a seed.
+	 *
+	 * @param {string} text Text to hash.
+	 * @returns {number} 32 bit unsigned hash.
+	 */
+	static hash(text) {
+		var hash = 2166136261;
+		for (var i = 0; i < text.length; i++) {
+			hash ^= text.charCodeAt(i);
+			hash = Math.imul(hash, 16777619);
+		}
+		return hash >>> 0;
+	}
+
+	/**
+	 * Returns next random number (mulberry32 algorithm).
+	 *
+	 * @returns {number} Number from 0 (inclusive) to 1 (exclusive).
+	 */
+	next() {
+		this.state = (this.state + 0x6D2B79F5) >>> 0;
+		var t = this.state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+
+	/**
+	 * Returns random number in range.
+	 *
+	 * @param {number} min	Minimum (inclusive).
+	 * @param {number} max	Maximum (exclusive).
+	 * @returns {number} Random number.
+	 */
+	range(min, max) {
+		return min + this.next() * (max - min);
+	}
+
+	/**
+	 * Returns random integer in range.
+	 *
+	 * @param {number} min	Minimum (inclusive).
+	 * @param {number} max	Maximum (inclusive).
+	 * @returns {number} Random integer.
+	 */
+	integer(min, max) {
+		return min + Math.floor(this.next() * (max - min + 1));
+	}
+
+	/**
+	 * Returns true with given probability.
+	 *
+	 * @param {number} probability Probability from 0 to 1.
+	 * @returns {boolean} Random result.
+	 */
+	chance(probability) {
+		return this.next() < probability;
+	}
+
+	/**
+	 * Returns random element of array.
+	 *
+	 * @param {Array} array Array to pick from.
+	 * @returns {*} Random element or undefined if array is empty.
+	 */
+	pick(array) {
+		return array[Math.floor(this.next() * array.length)];
+	}
+
+	/**
+	 * Returns shuffled copy of array.
+	 *
+	 * @param {Array} array Array to shuffle.
+	 * @returns {Array} Shuffled copy.
+	 */
+	shuffle(array) {
+		var copy = array.slice();
+		for (var i = copy.length - 1; i > 0; i--) {
+			var j = Math.floor(this.next() * (i + 1));
+			var swap = copy[i];
+			copy[i] = copy[j];
+			copy[j] = swap;
+		}
+		return copy;
+	}
+}
+
+/**
+ * Random generator used by items in rooms that are not connected to any game.
+ * Game uses its own generator for them while its script and simulation run.
+ *
+ * @type {Random}
+ */
+Random.current = new Random();
+/**
+ * Recorder remembers actions of player on every simulation step, so the game can be replayed
+ * exactly. Only steps where input changed are stored. Recording starts when game starts.
+ *
+ * @property {number|string} seed		Seed of random generator of recorded game.
+ * @property {number} ticks				Number of recorded simulation steps.
+ * @property {RecordedFrame[]} frames	Recorded changes of input.
+ * @since 1.1.0
+ */
+class Recorder {
+
+	/**
+	 * Constructor for Recorder.
+	 *
+	 * @param {number|string} seed Seed of random generator of recorded game.
+	 */
+	constructor(seed) {
+		this.seed = seed;
+		this.ticks = 0;
+		this.frames = [];
+		this.last = null;
+	}
+
+	/**
+	 * Version of recording format that is written by Recorder.toJSON.
+	 *
+	 * @returns {number} Version of recording format.
+	 */
+	static get VERSION() {
+		return 1;
+	}
+
+	/**
+	 * Remembers state of input in simulation step if it differs from previous step.
+	 *
+	 * @param {number} tick			Number of simulation step.
+	 * @param {number} time			Time of simulation step in seconds.
+	 * @param {InputState} state	State of input.
+	 */
+	capture(tick, time, state) {
+		var key = JSON.stringify(state);
+		if (key != this.last) {
+			this.frames.push({tick: tick, time: time, down: state.down, pressed: state.pressed});
+			this.last = key;
+		}
+		this.ticks = tick + 1;
+	}
+
+	/**
+	 * Returns recording that can be saved and passed to Game.replay.
+	 *
+	 * @returns {RecordingData} Data of recording.
+	 */
+	toJSON() {
+		return {
+			version: Recorder.VERSION,
+			seed: this.seed,
+			ticks: this.ticks,
+			frames: this.frames.slice()
+		};
+	}
+}
+
+/**
+ * Recorded game.
+ *
+ * @typedef {Object} RecordingData
+ * @property {number} version				Version of recording format.
+ * @property {number|string} seed			Seed of random generator of game.
+ * @property {number} ticks					Number of recorded simulation steps.
+ * @property {RecordedFrame[]} frames		Changes of input, ordered by tick.
+ */
+
+/**
+ * State of input in simulation step where it changed.
+ *
+ * @typedef {Object} RecordedFrame
+ * @property {number} tick			Number of simulation step from start of the game.
+ * @property {number} time			Time of simulation step in seconds from start of the game.
+ * @property {Action[]} down		Actions held down, in order in which they were pressed.
+ * @property {Action[]} pressed		Actions pressed since previous update of input.
+ *//**
+ * Room class is one of main entities of the game. It contains items 
+ * and is place where user can do all of his work (fight monsters, collect items, ...).
+ * User can leave room with entering anotherone. 
+ * 
+ * @property {number} 						width	Width of room in percents of container size.
+ * @property {number} 						height	Height of room in percents of container size.
+ * @property {number} 						size	Size of square room, setting it makes room square.
+ * @property {Item[]} 						items	Array of items in room.
+ * @property {Object.<Direction, Room[]>}	rooms	Rooms arranged by directions of current room.
+ * @property {Object.<Direction, Door[]>}	doors	Doors to rooms, same order as in this.rooms.
+ * @property {Set.<Room>}					entrances	Rooms with doors to this room.
+ * @property {Array.<Item[]>}				contacts	Pairs of items that are touching each other.
+ * @property {Game}							game	Game that room belongs to.
+ * @property {string}						color	Background color of room or null.
+ * @property {string}						image	Url of background image of room or null.
+ * @property {string}						title	Title that is shown when player enters room or null.
+ * @property {string}						music	Url of background music of room or null for music of the game.
+ * @property {boolean}						goal	True if game is won when player enters room.
+ * @fires Room#enter
+ * @fires Room#leave
+ * @fires Room#additem
+ * @fires Room#removeitem
+ * @extends {EventEmitter}
+ * @since 1.0.0
+ */
+class Room extends EventEmitter {
+	
+	/**
+	 * Construction for Room.
+	 *
+	 * @param {number} [size = 1]	Width of room in percents.
+	 * @param {number} [height]		Height of room in percents, room is square if it is not given.
+	 */
+	constructor(size = 1, height) {
+		super();
+		this.width = size;
+		this.height = (height === undefined) ? size : height;
+		this.items = [];
+		this.game = null;
+		this.color = null;
+		this.image = null;
+		this.title = null;
+		this.music = null;
+		this.goal = false;
+
+		// Create array for each direction
+		this.rooms = {};
+		this.doors = {};
+		this.entrances = new Set();
+
+		// Pairs of touching items and pairs blocked by solid items in current frame
+		this.contacts = [];
+		this.blocked = [];
+		// Pairs blocked in last finished frame, items read them in their own update
+		this.lastBlocked = [];
+	}
+
+	/**
+	 * Returns size of room. Rectangular room returns its shorter side.
+	 *
+	 * @returns {number} Size of room in percents.
+	 */
+	get size() {
+		return Math.min(this.width, this.height);
+	}
+
+	/**
+	 * Makes room square.
+	 *
+	 * @param {number} size Size of room in percents.
+	 */
+	set size(size) {
+		this.width = size;
+		this.height = size;
+	}
+
+	/**
+	 * Returns random generator of game, so every random choice in room can be reproduced.
+	 *
+	 * @returns {Random} Random generator of game or Random.current if room is not in game.
+	 */
+	get random() {
+		return this.game ? this.game.random : Random.current;
+	}
+	
+	/**
+	 * Adds new item object in room. It places it in this.items array.
+	 * 
+	 * @param {Item} item Item to be placed in room.
+	 */
+	addItem(item) {
+		this.items.push(item);
+		item.room = this;
+		item.place(this);
+		this.emit("additem", item);
+	}
+
+	/**
+	 * Removes item from room. Items that were touching it are separated from it.
+	 * @param {Item} item Item to be removed. 
+	 */
+	removeItem(item) {
+		var index = this.items.indexOf(item);
+		if (index == -1) {
+			return;
+		}
+		this.items.splice(index, 1);
+		item.room = null;
+
+		this.contactsOf(item).forEach(function(other) {
+			this.separate(item, other);
+		}.bind(this));
+		this.emit("removeitem", item);
+	}
+
+	/**
+	 * Updates all items in room and checks collisions between them.
+	 * Movement of items is blocked by solid items.
+	 *
+	 * @param {number} dt Length of simulation step in seconds.
+	 */
+	update(dt) {
+		this.blocked = [];
+		this.items.slice().forEach(function(item) {
+			// Item could be removed by another item in this frame
+			if (item.room != this) {
+				return;
+			}
+			var x = item.x;
+			var y = item.y;
+			item.update(this, dt);
+			if (item.room == this) {
+				this.blockMovement(item, x, y);
+			}
+		}.bind(this));
+		this.checkCollisions();
+		this.lastBlocked = this.blocked;
+	}
+
+	/**
+	 * Returns solid items that overlap with item.
+	 *
+	 * @param {Item} item Item to check.
+	 * @returns {Item[]} Solid items touching item.
+	 */
+	solidsTouching(item) {
+		return this.items.filter(function(other) {
+			return other != item && other.solid && item.touches(other);
+		});
+	}
+
+	/**
+	 * Checks if movement of item was blocked by solid item in last simulation step.
+	 *
+	 * @param {Item} item Item to check.
+	 * @returns {boolean} True if item was blocked.
+	 */
+	isBlocked(item) {
+		return this.lastBlocked.some(function(pair) {
+			return pair[0] == item;
+		});
+	}
+
+	/**
+	 * Adds wall inside room. Walls block movement of player and other moving items,
+	 * so they can be used for corridors and mazes.
+	 *
+	 * @param {number} x		X coordinate of wall in percents (form 0 % to 100 %).
+	 * @param {number} y		Y coordinate of wall in percents (form 0 % to 100 %).
+	 * @param {number} width	Width of wall in percents (form 0 % to 100 %).
+	 * @param {number} height	Height of wall in percents (form 0 % to 100 %).
+	 * @returns {Wall} New wall.
+	 */
+	addWall(x, y, width, height) {
+		var wall = Items.wall(x, y, width, height);
+		this.addItem(wall);
+		return wall;
+	}
+
+	/**
+	 * Moves item back if it moved into solid item. Item is moved back
+	 * only on blocked axis, so it can slide along walls.
+	 *
+	 * @param {Item} item	Item that moved.
+	 * @param {number} x	X coordinate of item before move.
+	 * @param {number} y	Y coordinate of item before move.
+	 */
+	blockMovement(item, x, y) {
+		var solids = this.solidsTouching(item);
+		if (solids.length == 0) {
+			return;
+		}
+		var newX = item.x;
+		var newY = item.y;
+
+		// Let item escape if it was already stuck in solid item
+		item.x = x;
+		item.y = y;
+		if (this.solidsTouching(item).length > 0) {
+			item.x = newX;
+			item.y = newY;
+			return;
+		}
+
+		// Try to move only in one axis
+		item.y = newY;
+		if (this.solidsTouching(item).length > 0) {
+			item.x = newX;
+			item.y = y;
+			if (this.solidsTouching(item).length > 0) {
+				item.x = x;
+			}
+		}
+
+		solids.forEach(function(solid) {
+			this.blocked.push([item, solid]);
+		}.bind(this));
+	}
+
+	/**
+	 * Finds index of contact between two items.
+	 *
+	 * @param {Array.<Item[]>} contacts	List of contacts.
+	 * @param {Item} a					First item.
+	 * @param {Item} b					Second item.
+	 * @returns {number} Index of contact or -1.
+	 */
+	static indexOfContact(contacts, a, b) {
+		for (var i = 0; i < contacts.length; i++) {
+			if ((contacts[i][0] == a && contacts[i][1] == b) || (contacts[i][0] == b && contacts[i][1] == a)) {
+				return i;
+			}
+		}
+		return -1;
+	}
+
+	/**
+	 * Returns items that are touching item.
+	 *
+	 * @param {Item} item Item to check.
+	 * @returns {Item[]} Items touching item.
+	 */
+	contactsOf(item) {
+		var others = [];
+		this.contacts.forEach(function(contact) {
+			if (contact[0] == item) {
+				others.push(contact[1]);
+			} else if (contact[1] == item) {
+				others.push(contact[0]);
+			}
+		});
+		return others;
+	}
+
+	/**
+	 * Checks all pairs of items in room with AABB test. Calls onCollide when
+	 * items start touching and onSeparate when they stop touching.
+	 * Items blocked by solid item are touching it too.
+	 */
+	checkCollisions() {
+		var items = this.items.slice();
+		for (var i = 0; i < items.length; i++) {
+			for (var j = i + 1; j < items.length; j++) {
+				var a = items[i];
+				var b = items[j];
+				// Item could be removed in onCollide of another item
+				if (a.room != this || b.room != this) {
+					continue;
+				}
+				var touching = a.touches(b) || Room.indexOfContact(this.blocked, a, b) != -1;
+				var index = Room.indexOfContact(this.contacts, a, b);
+				if (touching && index == -1) {
+					this.contacts.push([a, b]);
+					a.onCollide(b);
+					b.onCollide(a);
+					a.emit("touch", b);
+					b.emit("touch", a);
+				} else if (!touching && index != -1) {
+					this.separate(a, b);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Removes contact between two items and calls their onSeparate.
+	 *
+	 * @param {Item} a First item.
+	 * @param {Item} b Second item.
+	 */
+	separate(a, b) {
+		var index = Room.indexOfContact(this.contacts, a, b);
+		if (index == -1) {
+			return;
+		}
+		this.contacts.splice(index, 1);
+		a.onSeparate(b);
+		b.onSeparate(a);
+		a.emit("separate", b);
+		b.emit("separate", a);
+	}
+
+	/**
+	 * Connects this room with another room in specified direction.
+	 * The room is placed in this.rooms object
+	 * @param {Room} room				The room we want to connect to this room.
+	 * @param {Direction} direction		The direction where we want to place the room.
+	 * @param {function} [checkFunction]	Function (player, fromRoom, toRoom) that checks if player can move in room.
+	 *										It is checked only on the way from this room to the new one.
+	 */
+	addRoom(room, direction, checkFunction) {
+		var inversedDirection = Direction.inverse(direction);
+		// Exit if the rooms are already connected.
+		if (direction in this.rooms && this.rooms[direction].indexOf(room) != -1) {
+			Logger.info("Room already added.", room);
+			return;
+		}
+
+		// If the direction or inversedDirection is not already in rooms, insert new empty array
+		if (!(direction in this.rooms)) {
+			this.rooms[direction] = [];
+			this.doors[direction] = [];
+		}
+		if (!(inversedDirection in room.rooms)) {
+			room.rooms[inversedDirection] = [];
+			room.doors[inversedDirection] = [];
+		}
+
+		var strict = (this.game && this.game.strict) || (room.game && room.game.strict);
+		[[this, direction], [room, inversedDirection]].forEach(function(side) {
+			if (side[0].rooms[side[1]].length >= DoorConstants.MAX_NUMBER) {
+				if (strict) {
+					throw new Error("Too many doors in direction " + side[1]);
+				}
+				Logger.info("Too many doors in direction", side[1]);
+			}
+		});
+
+		// Connected rooms belong to the same game
+		this.game = this.game || room.game;
+		room.game = room.game || this.game;
+
+		// Add room to array and add link to this room to other room too
+		this.rooms[direction].push(room);
+		room.rooms[inversedDirection].push(this);
+		this.doors[direction].push(new Door(room, checkFunction));
+		room.doors[inversedDirection].push(new Door(this));
+		this.entrances.add(room);
+		room.entrances.add(this);
+	}
+
+	/**
+	 * Returns door that leads from this room to another room.
+	 *
+	 * @param {Room} room Room where door leads to.
+	 * @returns {Door} Door or null if rooms are not connected.
+	 */
+	getDoor(room) {
+		var directions = Object.keys(this.rooms);
+		for (var i = 0; i < directions.length; i++) {
+			var index = this.rooms[directions[i]].indexOf(room);
+			if (index != -1) {
+				return this.doors[directions[i]][index];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Locks door between this room and another room on both sides.
+	 *
+	 * @param {Room} room Room where door leads to.
+	 */
+	lockDoor(room) {
+		[this.getDoor(room), room.getDoor(this)].forEach(function(door) {
+			if (door) {
+				door.locked = true;
+			}
+		});
+	}
+
+	/**
+	 * Opens door between this room and another room on both sides.
+	 * Check functions of door are removed, so player can always pass.
+	 *
+	 * @param {Room} room Room where door leads to.
+	 */
+	openDoor(room) {
+		[this.getDoor(room), room.getDoor(this)].forEach(function(door) {
+			if (door) {
+				door.locked = false;
+				door.check = null;
+			}
+		});
+	}
+
+	/**
+	 * Finds doors where item is located.
+	 *
+	 * @param {Item} item Item to check.
+	 * @returns {Object} Object with direction and index of doors or null if item is not in doors.
+	 */
+	findDoor(item) {
+		var xCenter = (item.x + item.width / 2);
+		var yCenter = (item.y + item.height / 2);
+		var directions = Object.keys(this.rooms);
+		for (var d = 0; d < directions.length; d++) {
+			var direction = directions[d];
+			for (var i = 0; i < this.rooms[direction].length; i++) {
+				var center = this.getDoorsCenter(direction, i);
+				var length = this.getDoorLength();
+
+				var xInDoors = center < xCenter && xCenter < center + length;
+				var yInDoors =  center < yCenter && yCenter < center + length;
+
+				if (direction == Direction.UP) {
+					yInDoors = item.y < DoorConstants.THICKNESS;
+				} else if (direction == Direction.DOWN) {
+					yInDoors = item.y + item.height > this.height - DoorConstants.THICKNESS;
+				} else if (direction == Direction.RIGHT) {
+					xInDoors = item.x + item.width > this.width - DoorConstants.THICKNESS;
+				} else if (direction == Direction.LEFT) {
+					xInDoors = item.x < DoorConstants.THICKNESS;
+				}
+
+				if (xInDoors && yInDoors) {
+					return {direction: Number(direction), index: i};
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Returns level that contains this room and all rooms connected to it.
+	 * This room is the starting room of level.
+	 *
+	 * @returns {LevelData} Data of level.
+	 */
+	toJSON() {
+		return Levels.toJSON(this);
+	}
+
+	/**
+	 * Returns data of this room for level format.
+	 *
+	 * @param {Map.<Room, number>} ids Ids of all rooms in level.
+	 * @returns {RoomData} Data of room.
+	 */
+	serialize(ids) {
+		var doors = [];
+		Object.keys(this.rooms).forEach(function(direction) {
+			this.rooms[direction].forEach(function(room, i) {
+				var door = this.doors[direction][i];
+				var data = {
+					direction: Number(direction),
+					room: ids.get(room),
+					locked: door.locked
+				};
+				if (door.color) {
+					data.color = door.color;
+				}
+				if (door.image) {
+					data.image = door.image;
+				}
+				doors.push(data);
+			}.bind(this));
+		}.bind(this));
+
+		var items = this.items.filter(function(item) {
+			// Player is saved with game, not with level
+			return !(item instanceof Player);
+		}).map(function(item) {
+			return item.toJSON();
+		});
+
+		var data = {
+			id: ids.get(this),
+			type: Rooms.typeOf(this),
+			size: this.width,
+			doors: doors,
+			items: items
+		};
+		if (this.height != this.width) {
+			data.height = this.height;
+		}
+		if (this.color) {
+			data.color = this.color;
+		}
+		if (this.image) {
+			data.image = this.image;
+		}
+		if (this.title) {
+			data.title = this.title;
+		}
+		if (this.music) {
+			data.music = this.music;
+		}
+		if (this.goal) {
+			data.goal = true;
+		}
+		return data;
+	}
+
+	/**
+	 * Draws doors to other rooms specified in this.rooms
+	 * @param {context} context	Canvas context to draw on
+	 * @param {number} size		Size of canvas in pixels
+	 */
+	drawDoors(context, size) {
+		var roomWidth = this.width * size;
+		var roomHeight = this.height * size;
+		var doorLength = this.getDoorLength() * size;
+		var doorThickness = DoorConstants.THICKNESS * this.size * size;
+
+		// Draw doors
+		var directions = Object.keys(this.rooms);
+		directions.forEach(function(direction) {
+			
+			var doors = this.doors[direction];
+			for (var i = 0; i < doors.length; i++) {
+				var start = this.getDoorsCenter(direction, i) * size;
+
+				var x, y, doorWidth, doorHeight;
+				if (direction == Direction.UP || direction == Direction.DOWN) {
+					x = start;
+					y = (direction == Direction.DOWN) * (roomHeight - doorThickness);
+					doorWidth = doorLength;
+					doorHeight = doorThickness;
+				} else {
+					x = (direction == Direction.RIGHT) * (roomWidth - doorThickness);
+					y = start;
+					doorWidth = doorThickness;
+					doorHeight = doorLength;
+				}
+
+				var door = doors[i];
+				if (!door.image || !Assets.drawImage(context, door.image, x, y, doorWidth, doorHeight)) {
+					context.fillStyle = door.getColor();
+					context.fillRect(x, y, doorWidth, doorHeight);
+				} else if (door.locked) {
+					// Locked door is still recognizable when it has image
+					context.strokeStyle = door.getColor();
+					context.strokeRect(x, y, doorWidth, doorHeight);
+					context.strokeStyle = "#000";
+				}
+			}
+		}.bind(this));
+		context.fillStyle = "#000";
+	}
+
+	/**
+	 * Returns start of the doors in specified direction and doors offset, measured along the wall.
+	 * Doors are spread evenly along the wall.
+	 * @param {Direction} direction 
+	 * @param {Position} position 
+	 * @returns {number} Coordinate of the start of doors in percents.
+	 */
+	getDoorsCenter(direction, position) {
+		var wallLength = (direction == Direction.UP || direction == Direction.DOWN) ? this.width : this.height;
+		var segmentLength = wallLength / this.rooms[direction].length;
+		return (position * segmentLength) + (segmentLength / 2)  - this.getDoorLength() / 2
+	}
+
+	/**
+	 * Returns length of doors. It depends on shorter side of room, so doors on long walls
+	 * have the same length as other doors.
+	 * @returns {number} Length of doors in percents.
+	 */
+	getDoorLength() {
+		return DoorConstants.LENGTH * this.size;
+	}
 
-		// Draw room border
+	/**
+	 * Draws background color, background image and border of room.
+	 * @param {context} context	Canvas context to draw on
+	 * @param {number} left		Left side of room in pixels
+	 * @param {number} top		Top side of room in pixels
+	 * @param {number} width	Width of room in pixels
+	 * @param {number} height	Height of room in pixels
+	 */
+	drawBackground(context, left, top, width, height) {
+		if (this.color) {
+			context.fillStyle = this.color;
+			context.fillRect(left, top, width, height);
+			context.fillStyle = "#000";
+		}
+		if (this.image) {
+			Assets.drawImage(context, this.image, left, top, width, height);
+		}
 		context.lineWidth = 1;
-		context.strokeRect(left, top, roomSize, roomSize);
+		context.strokeRect(left, top, width, height);
+	}
+
+	/**
+	 * Draws room and all objects in the room. Items outside of view are not drawn.
+	 * @param {context} context			Canvas context to draw on
+	 * @param {number} width			Width of the canvas in pixels
+	 * @param {number} height			Height of the canvas in pixels
+	 * @param {CameraView} [view]		Visible part of room, whole room is centered if it is not given
+	 */
+	draw(context, width, height, view) {
+		// Calculate room width and height
+		view = view || Camera.fit(this, width, height);
+		var size = view.scale;
+		var roomWidth = size * this.width;
+		var roomHeight = size * this.height;
+		
+		var left = view.left;
+		var top = view.top;
+
+		// Draw background and border of room
+		this.drawBackground(context, left, top, roomWidth, roomHeight);
 
 		// Translate coordinate system, so that 0.0 in in top left corner of room
 		context.translate(left, top);
 
 		// Draw doors to other connected rooms
-		this.drawDoors(context, roomSize);
+		this.drawDoors(context, size);
 
-		// Draw all items in room
+		// Draw all items in room that can be seen
 		this.items.forEach(function(item) {
-			item.update(this);
-			item.draw(context, width < height ? widht : height);
-		}.bind(this));
+			if (Camera.sees(view, item)) {
+				item.draw(context, size);
+			}
+		});
 
 		// Remove translation
 		context.translate(-left, -top);
 	}
 
 }/**
- * Class for main character. This type of item is moving by user input (keyboard arrows).
+ * Class for hostile enemy. Robot is following the player and hurts it on contact.
+ *
+ * @property {number} width  		Width of item in percents.
+ * @property {number} height 		Height of item in percents.
+ * @property {number} x      		X coordinate of item in percents.
+ * @property {number} y      		Y coordinate of item in percents.
+ * @property {Moving} moving 		Moving type of item.
+ * @property {number} damage		Damage that robot does to player on contact.
+ * @property {string} color			Color of robot.
+ * @extends {Item}
+ * @since 1.1.0
+ */
+class AngryRobot extends Item {
+
+	/**
+	 * Constructor of class AngryRobot
+	 *
+	 * @param {number} width  Width of item in percents.
+	 * @param {number} height Height of item in percents. 
+	 */
+	constructor(width, height) {
+		super(width, height);
+		this.moving = Moving.FOLLOWING;
+		this.speed = 0.18;
+		this.damage = 1;
+		this.color = "#c00";
+	}
+
+	/**
+	 * Updates location of robot and attacks player while robot touches it.
+	 *
+	 * @param {Room} room	Room where item is located.
+	 * @param {number} dt	Length of simulation step in seconds.
+	 */
+	update(room, dt) {
+		super.update(room, dt);
+		room.contactsOf(this).forEach(function(other) {
+			if (other instanceof Player) {
+				this.onHit(other);
+			}
+		}.bind(this));
+	}
+
+	/**
+	 * Attacks player as soon as robot touches it.
+	 *
+	 * @param {Item} other Item that robot collided with.
+	 */
+	onCollide(other) {
+		if (other instanceof Player) {
+			this.onHit(other);
+		}
+	}
+
+	/**
+	 * Called when robot touches the player. Override it to change behaviour of robot.
+	 *
+	 * @param {Player} player Player that was hit.
+	 */
+	onHit(player) {
+		player.hurt(this.damage);
+	}
+
+	/**
+	 * Returns data of robot for level format.
+	 *
+	 * @returns {ItemData} Data of robot.
+	 */
+	toJSON() {
+		var data = super.toJSON();
+		data.damage = this.damage;
+		return data;
+	}
+}/**
+ * Class for collectible bonus. Bonus rewards the player and disappears when player touches it.
+ *
+ * @property {number} width  		Width of item in percents.
+ * @property {number} height 		Height of item in percents.
+ * @property {number} x      		X coordinate of item in percents.
+ * @property {number} y      		Y coordinate of item in percents.
+ * @property {Moving} moving 		Moving type of item.
+ * @property {number} value			Number of points player gets for bonus.
+ * @property {string} color			Color of bonus.
+ * @extends {Item}
+ * @since 1.1.0
+ */
+class Bonus extends Item {
+
+	/**
+	 * Constructor of class Bonus
+	 *
+	 * @param {number} width  Width of item in percents.
+	 * @param {number} height Height of item in percents. 
+	 */
+	constructor(width, height) {
+		super(width, height);
+		this.moving = Moving.FIXED;
+		this.value = 10;
+		this.color = "#fc0";
+	}
+
+	/**
+	 * Bonus is collected when player touches it.
+	 *
+	 * @param {Item} other Item that bonus collided with.
+	 */
+	onCollide(other) {
+		if (other instanceof Player) {
+			this.room.removeItem(this);
+			if (other.game) {
+				other.game.sound.play("pickup");
+			}
+			this.onCollect(other);
+		}
+	}
+
+	/**
+	 * Called when player collects the bonus. Override it to give player different reward.
+	 *
+	 * @param {Player} player Player that collected bonus.
+	 */
+	onCollect(player) {
+		player.reward(this.value);
+	}
+
+	/**
+	 * Returns data of bonus for level format.
+	 *
+	 * @returns {ItemData} Data of bonus.
+	 */
+	toJSON() {
+		var data = super.toJSON();
+		data.value = this.value;
+		return data;
+	}
+
+	/**
+	 * Draws bonus on canvas as a circle if it has no image or sprite.
+	 * 
+	 * @param {Object} context	2D context of Canvas
+	 * @param {number} size		Size of canvas in pixels
+	 */
+	draw(context, size) {
+		if (this.image || this.sprite) {
+			super.draw(context, size);
+			return;
+		}
+		var radius = Math.min(this.width, this.height) * size / 2;
+		context.fillStyle = this.color;
+		context.beginPath();
+		context.arc((this.x + this.width / 2) * size, (this.y + this.height / 2) * size, radius, 0, 2 * Math.PI);
+		context.fill();
+		context.fillStyle = "#000";
+	}
+}/**
+ * Class for items that player picks up and carries in its inventory.
+ * New kinds of collectible items are defined by Items.define.
+ *
+ * @property {number} width  		Width of item in percents.
+ * @property {number} height 		Height of item in percents.
+ * @property {number} x      		X coordinate of item in percents.
+ * @property {number} y      		Y coordinate of item in percents.
+ * @property {Moving} moving 		Moving type of item.
+ * @property {string} kind			Kind of item, items of the same kind are stacked in inventory.
+ * @property {boolean} consumable	Consumable item disappears when it is used.
+ * @extends {Item}
+ * @since 1.1.0
+ */
+class Collectible extends Item {
+
+	/**
+	 * Constructor of class Collectible
+	 *
+	 * @param {number} width  Width of item in percents.
+	 * @param {number} height Height of item in percents. 
+	 */
+	constructor(width, height) {
+		super(width, height);
+		this.moving = Moving.FIXED;
+		this.kind = "item";
+		this.consumable = false;
+		this.color = "#0a8";
+		// Player that dropped item, it can pick item up after it steps away
+		this.droppedBy = null;
+	}
+
+	/**
+	 * Player picks item up when it touches it.
+	 *
+	 * @param {Item} other Item that collectible collided with.
+	 */
+	onCollide(other) {
+		if (other instanceof Player && other != this.droppedBy) {
+			other.pickUp(this);
+		}
+	}
+
+	/**
+	 * Item can be picked up by player that dropped it after player steps away.
+	 *
+	 * @param {Item} other Item that collectible was touching.
+	 */
+	onSeparate(other) {
+		if (other == this.droppedBy) {
+			this.droppedBy = null;
+		}
+	}
+
+	/**
+	 * Called when player picks item up. Override it to react to pickup.
+	 *
+	 * @param {Player} player Player that picked item up.
+	 */
+	onPickUp(player) {
+	}
+
+	/**
+	 * Called when player uses item from inventory. Override it to give item its effect.
+	 *
+	 * @param {Player} player Player that used item.
+	 */
+	onUse(player) {
+	}
+
+	/**
+	 * Returns data of collectible for level format.
+	 *
+	 * @returns {ItemData} Data of collectible.
+	 */
+	toJSON() {
+		var data = super.toJSON();
+		data.kind = this.kind;
+		data.consumable = this.consumable;
+		return data;
+	}
+}/**
+ * Class for friendly character. Helper is wandering around room and
+ * talks to the player when they meet.
+ *
+ * @property {number} width  		Width of item in percents.
+ * @property {number} height 		Height of item in percents.
+ * @property {number} x      		X coordinate of item in percents.
+ * @property {number} y      		Y coordinate of item in percents.
+ * @property {Moving} moving 		Moving type of item.
+ * @property {string} message		Message that helper says to the player.
+ * @property {DialogueNode} dialogue	Dialogue that starts when player meets helper or null.
+ * @property {boolean} talking		True while helper touches the player.
+ * @property {string} color			Color of helper.
+ * @extends {Item}
+ * @since 1.1.0
+ */
+class Helper extends Item {
+
+	/**
+	 * Constructor of class Helper
+	 *
+	 * @param {number} width  Width of item in percents.
+	 * @param {number} height Height of item in percents. 
+	 */
+	constructor(width, height) {
+		super(width, height);
+		this.moving = Moving.RANDOM;
+		this.speed = 0.12;
+		this.message = "Hello!";
+		this.dialogue = null;
+		this.talking = false;
+		this.color = "#06c";
+	}
+
+	/**
+	 * Updates location of helper. Helper stops while it talks to the player.
+	 *
+	 * @param {Room} room	Room where item is located.
+	 * @param {number} dt	Length of simulation step in seconds.
+	 */
+	update(room, dt) {
+		if (!this.talking) {
+			super.update(room, dt);
+		}
+	}
+
+	/**
+	 * Helper starts talking when player touches it.
+	 *
+	 * @param {Item} other Item that helper collided with.
+	 */
+	onCollide(other) {
+		if (other instanceof Player) {
+			this.talking = true;
+			this.onMeet(other);
+		}
+	}
+
+	/**
+	 * Helper stops talking when player leaves.
+	 *
+	 * @param {Item} other Item that helper was touching.
+	 */
+	onSeparate(other) {
+		if (other instanceof Player) {
+			this.talking = false;
+		}
+	}
+
+	/**
+	 * Returns dialogue of helper.
+	 *
+	 * @returns {DialogueNode} First node of dialogue or null.
+	 */
+	get dialogue() {
+		return this.firstNode;
+	}
+
+	/**
+	 * Sets dialogue of helper. Dialogue in level format is converted to nodes.
+	 *
+	 * @param {(DialogueNode|DialogueData)} dialogue Dialogue or null.
+	 */
+	set dialogue(dialogue) {
+		this.firstNode = (dialogue && Array.isArray(dialogue.nodes)) ? Dialogue.fromJSON(dialogue) : dialogue;
+	}
+
+	/**
+	 * Called when player meets the helper. Helper starts its dialogue if it has one.
+	 * Override it to make helper do something for player.
+	 *
+	 * @param {Player} player Player that met helper.
+	 */
+	onMeet(player) {
+		if (this.dialogue && this.game) {
+			this.game.talk(this.dialogue);
+			return;
+		}
+		Logger.info("Helper", this.message);
+	}
+
+	/**
+	 * Returns data of helper for level format.
+	 *
+	 * @returns {ItemData} Data of helper.
+	 */
+	toJSON() {
+		var data = super.toJSON();
+		data.message = this.message;
+		if (this.dialogue) {
+			data.dialogue = Dialogue.toJSON(this.dialogue);
+		}
+		return data;
+	}
+
+	/**
+	 * Draws helper on canvas and its message while it talks.
+	 * 
+	 * @param {Object} context	2D context of Canvas
+	 * @param {number} size		Size of canvas in pixels
+	 */
+	draw(context, size) {
+		super.draw(context, size);
+
+		if (this.talking && !this.dialogue) {
+			context.font = Math.max(TextConstants.MIN_SIZE, Math.round(size * TextConstants.SIZE)) + "px " + TextConstants.FONT;
+			context.textAlign = "center";
+			context.fillText(this.message, (this.x + this.width / 2) * size, this.y * size - 4);
+		}
+	}
+}/**
+ * Class for main character. This type of item is moving by actions of game input (keyboard, touch, gamepad).
  *
  * @property {number} width  		Width of item in percents.
  * @property {number} height 		Height of item in percents.
@@ -426,69 +4424,144 @@ class Room {
  * @property {number} y      		Y coordinate of item in percents.
  * @property {Moving} moving 		Moving type of item.
  * @property {Direction} direction	Current direction of moving.
+ * @property {number} health			Current health of player.
+ * @property {number} maxHealth		Health of player at the beginning of each life.
+ * @property {number} lives			Number of remaining lives.
+ * @property {number} score			Points collected by player.
+ * @property {number} invulnerable	Number of seconds in which player can not be hurt.
+ * @property {Inventory} inventory	Items carried by player.
+ * @fires Player#pickup
+ * @fires Player#use
+ * @fires Player#drop
  * @extends {Item}
  * @since 1.0.0
  */
 class Player extends Item {
 	
 	/**
-	 * Constructor of class Player
+	 * Constructor of class Player
+	 *
+	 * @param {number} width  Width of item in percents.
+	 * @param {number} height Height of item in percents. 
+	 */
+	constructor(width, height) {
+		super(width, height);
+		this.moving = Moving.FREE;
+		this.speed = 0.6;
+		this.maxHealth = PlayerConstants.HEALTH;
+		this.health = this.maxHealth;
+		this.lives = PlayerConstants.LIVES;
+		this.score = 0;
+		this.invulnerable = 0;
+		this.inventory = new Inventory(this);
+
+		// Direction in which the player is moving
+		this.direction = Direction.NOWHERE;
+		this.lastRoom = null;
+		// Door that refused the player, it is not checked again until player leaves it
+		this.refusedDoor = null;
+	}
+
+	/**
+	 * Reads direction of moving from actions of input.
+	 *
+	 * @param {Input} input Input of the game.
+	 */
+	readInput(input) {
+		this.direction = input.getDirection();
+	}
+
+	/** 
+	 * Moves user in specified direction.
+	 * @param {Direction} direction Direction to move to.
+	 * @param {Room} room Room where item is located.
+	 * @param {number} dt Length of simulation step in seconds.
+	 */
+	moveUser(direction, room, dt) {
+		Movement.step(this, direction, this.speed * dt);
+
+		// Limit with border of item.
+		Movement.clamp(this, room);
+	}
+
+	/**
+	 * Hurts the player. Player loses life when its health drops to zero.
+	 * After hit player can not be hurt for PlayerConstants.INVULNERABILITY seconds.
+	 *
+	 * @param {number} [damage = 1] Damage done to player.
+	 */
+	hurt(damage = 1) {
+		if (this.invulnerable > 0 || this.lives <= 0) {
+			return;
+		}
+		this.health = Math.max(0, this.health - damage);
+		this.invulnerable = PlayerConstants.INVULNERABILITY;
+		if (this.game) {
+			this.game.sound.play("hit");
+		}
+		if (this.health == 0) {
+			this.loseLife();
+		}
+	}
+
+	/**
+	 * Heals the player. Health can not exceed this.maxHealth.
 	 *
-	 * @param {number} width  Width of item in percents.
-	 * @param {number} height Height of item in percents. 
+	 * @param {number} [amount = 1] Amount of health to restore.
 	 */
-	constructor(width, height) {
-		super(width, height);
-		this.moving = Moving.FREE;
-
-		// Direction in which the player is moving
-		this.direction = Direction.NOWHERE;
-		this.lastRoom = null;
-		// Event listeners for key 
-		window.addEventListener("keydown", this.startUserAction.bind(this));
-		window.addEventListener("keyup", this.endUserAction.bind(this));
+	heal(amount = 1) {
+		this.health = Math.min(this.maxHealth, this.health + amount);
 	}
 
 	/**
-	 * User action event. Event is fired on keydown.
-	 * @param {Object} event Event.
+	 * Takes one life from player and restores its health.
+	 * Game is over when player has no lives left.
 	 */
-	startUserAction(event) {
-		switch (event.keyCode) {
-			case 37: this.direction = Direction.LEFT; break;
-			case 38: this.direction = Direction.UP; break;
-			case 39: this.direction = Direction.RIGHT; break;
-			case 40: this.direction = Direction.DOWN; break;
+	loseLife() {
+		this.lives--;
+		if (this.lives <= 0) {
+			this.lives = 0;
+			if (this.game) {
+				this.game.gameOver();
+			}
+			return;
 		}
+		this.health = this.maxHealth;
 	}
 
 	/**
-	 * User action event. Event is fired on keyup.
-	 * @param {Object} event Event.
+	 * Gives player additional lives.
+	 *
+	 * @param {number} [count = 1] Number of lives to add.
 	 */
-	endUserAction(event) {
-		if (event.keyCode == 37 && this.direction == Direction.LEFT ||
-			event.keyCode == 38 && this.direction == Direction.UP ||
-			event.keyCode == 39 && this.direction == Direction.RIGHT ||
-			event.keyCode == 40 && this.direction == Direction.DOWN) {
-			this.direction = Direction.NOWHERE;
-		}
+	addLife(count = 1) {
+		this.lives += count;
 	}
 
-	/** 
-	 * Moves user in specified direction.
-	 * @param {Direction} direction Direction to move to.
-	 * @param {Room} room Room where item is located.
+	/**
+	 * Rewards the player with points.
+	 *
+	 * @param {number} points Number of points to add to score.
 	 */
-	moveUser(direction, room) {
-		this.x -= (direction == Direction.LEFT) / 100;
-		this.x += (direction == Direction.RIGHT) / 100;
-		this.y += (direction == Direction.DOWN) / 100;
-		this.y -= (direction == Direction.UP) / 100;
+	reward(points) {
+		this.score += points;
+	}
 
-		// Limit with border of item.
-		this.x = Math.min(room.size - this.width, Math.max(0, this.x));
-		this.y = Math.min(room.size - this.height, Math.max(0, this.y));
+	/**
+	 * Picks item up from its room and puts it in inventory.
+	 *
+	 * @param {Collectible} item Item to pick up.
+	 */
+	pickUp(item) {
+		if (item.room) {
+			item.room.removeItem(item);
+		}
+		this.inventory.add(item);
+		if (this.game) {
+			this.game.sound.play("pickup");
+		}
+		item.onPickUp(this);
+		this.emit("pickup", item);
 	}
 
 	/**
@@ -498,28 +4571,29 @@ class Player extends Item {
 	 * @param {Room} room Room where item is located.
 	 */
 	place(room) {
-		if (mainGame.lastRoom == null) {
+		var game = room.game;
+		if (!game || game.lastRoom == null) {
 			super.place(room);
 			return;
 		}
 		// Find doors of last room in new room.
 		Object.keys(room.rooms).forEach(function(direction) {
 			for (var i = 0; i < room.rooms[direction].length; i++) {
-				if (room.rooms[direction][i] == mainGame.lastRoom){
+				if (room.rooms[direction][i] == game.lastRoom){
 					// Place it at the right position if user changes room
 					var doorsCenter = room.getDoorsCenter(direction, i);
 					if (direction == Direction.LEFT) {
 						this.x = (DoorConstants.THICKNESS) * (room.size) + 0.01;
-						this.y = doorsCenter * room.size; 
+						this.y = doorsCenter; 
 					} else if (direction == Direction.UP) {
 						this.y = (DoorConstants.THICKNESS) * (room.size) + 0.01;
-						this.x = doorsCenter * room.size; 
+						this.x = doorsCenter; 
 					} else if (direction == Direction.RIGHT) {
-						this.x = (1 - DoorConstants.THICKNESS) * (room.size - this.width) - 0.01;
-						this.y = doorsCenter * room.size; 
+						this.x = (1 - DoorConstants.THICKNESS) * (room.width - this.width) - 0.01;
+						this.y = doorsCenter; 
 					} else if (direction == Direction.DOWN) {
-						this.y = (1 - DoorConstants.THICKNESS) * (room.size - this.height) - 0.01;
-						this.x = doorsCenter * room.size; 
+						this.y = (1 - DoorConstants.THICKNESS) * (room.height - this.height) - 0.01;
+						this.x = doorsCenter; 
 					}  
 					return;
 				}
@@ -530,44 +4604,75 @@ class Player extends Item {
 	
 	/**
 	 * Updates location and other properties of user.
-	 * It is called on animation frame.
+	 * It is called on every simulation step.
 	 *
-	 * @param {Room} room Room where item is located.
+	 * @param {Room} room	Room where item is located.
+	 * @param {number} dt	Length of simulation step in seconds.
 	 */
-	update(room) {
-		this.moveUser(this.direction, room);
+	update(room, dt) {
+		this.invulnerable = Math.max(0, this.invulnerable - dt);
+		if (room.game) {
+			this.readInput(room.game.input);
+		}
+		this.moveUser(this.direction, room, dt);
 
 		// Check doors. 
-		var xCenter = (this.x + this.width / 2);
-		var yCenter = (this.y + this.height / 2);
-		var directions = Object.keys(room.rooms);
-		directions.forEach(function(direction) {
-			var doors = room.rooms[direction];
-			for (var i = 0; i < doors.length; i++) {
-				var center = room.getDoorsCenter(direction, i);
+		var found = room.findDoor(this);
+		if (found == null) {
+			this.refusedDoor = null;
+			return;
+		}
+		var door = room.doors[found.direction][found.index];
 
-				var xInDoors = center * room.size < xCenter && xCenter < (center + DoorConstants.LENGTH) * room.size;
-				var yInDoors =  center * room.size < yCenter && yCenter < (center + DoorConstants.LENGTH) * room.size;
+		// Check function is called only once when player enters the doors
+		var canPass = !door.locked && door != this.refusedDoor && door.canPass(this, room);
+		if (!canPass) {
+			if (!door.locked && door.check) {
+				this.refusedDoor = door;
+			}
+			this.leaveDoor(found.direction, room);
+			return;
+		}
 
-				if (direction == Direction.UP) {
-					yInDoors = this.y < DoorConstants.THICKNESS;
-				} else if (direction == Direction.DOWN) {
-					yInDoors = this.y + this.height > room.size - DoorConstants.THICKNESS;
-				} else if (direction == Direction.RIGHT) {
-					xInDoors = this.x + this.width > room.size - DoorConstants.THICKNESS;
-				} else if (direction == Direction.LEFT) {
-					xInDoors = this.x < DoorConstants.THICKNESS;
-				}
+		// Change room
+		this.refusedDoor = null;
+		var game = room.game;
+		room.removeItem(this);
+		game.changeCurrentRoom(door.room);
+		door.room.addItem(this);
+	}
 
-				if (xInDoors && yInDoors) {
-					// Change room
-					mainGame.currentRoom.removeItem(this);
-					mainGame.changeCurrentRoom(doors[i]);
-					
-					mainGame.currentRoom.addItem(this);
-				}
-			}
-		}.bind(this));
+	/**
+	 * Moves player out of the doors, so closed doors block player like a wall.
+	 *
+	 * @param {Direction} direction	Direction of doors.
+	 * @param {Room} room			Room where item is located.
+	 */
+	leaveDoor(direction, room) {
+		if (direction == Direction.LEFT) {
+			this.x = DoorConstants.THICKNESS;
+		} else if (direction == Direction.UP) {
+			this.y = DoorConstants.THICKNESS;
+		} else if (direction == Direction.RIGHT) {
+			this.x = room.width - DoorConstants.THICKNESS - this.width;
+		} else if (direction == Direction.DOWN) {
+			this.y = room.height - DoorConstants.THICKNESS - this.height;
+		}
+	}
+
+	/**
+	 * Returns data of player for level format.
+	 *
+	 * @returns {ItemData} Data of player.
+	 */
+	toJSON() {
+		var data = super.toJSON();
+		data.maxHealth = this.maxHealth;
+		data.health = this.health;
+		data.lives = this.lives;
+		data.score = this.score;
+		data.inventory = this.inventory.toJSON();
+		return data;
 	}
 	
 	
@@ -578,6 +4683,10 @@ class Player extends Item {
 	 * @param {number} size		Size of canvas in pixels
 	 */
 	draw(context, size) {
+		// Blink while player can not be hurt
+		if (Math.floor(this.invulnerable * 12) % 2 == 1) {
+			return;
+		}
 		super.draw(context, size);
 	}
 }/**
@@ -603,6 +4712,8 @@ class RestartGameButton extends Item {
     constructor(width, height) {
         super(width, height);
         this.moving = Moving.FIXED;
+        this.color = "#080";
+        this.label = "Try again!";
     }
     /**
      * Places item in room.  It is called when we place
@@ -611,27 +4722,18 @@ class RestartGameButton extends Item {
      * @param {Room} room Room where item is located.
      */
     place(room) {
-        this.x = room.size / 2 - this.width / 2;
-        this.y = room.size - this.height;
+        this.x = room.width / 2 - this.width / 2;
+        this.y = room.height - this.height;
     }
 
     /**
-     * Updates location and other properties of user.
-     * It is called on animation frame.
+     * Restarts the game when player touches the button.
      *
-     * @param {Room} room Room where item is located.
+     * @param {Item} other Item that button collided with.
      */
-    update(room) {
-        if (room.items.indexOf(mainPlayer) != -1) {
-            if (this.x < mainPlayer.x + mainPlayer.width / 2 && mainPlayer.x + mainPlayer.width / 2 < this.x + this.width &&
-                this.y < mainPlayer.y + mainPlayer.height / 2 && mainPlayer.x + mainPlayer.height / 2 < this.y + this.height) {
-                // Remove old game.
-                window.removeEventListener("keydown", mainPlayer.startUserAction);
-                window.removeEventListener("keyup", mainPlayer.endUserAction);
-                document.body.removeChild(document.querySelector("canvas"));
-                // Start new game.
-                startNewGame();
-            }
+    onCollide(other) {
+        if (other instanceof Player && this.game) {
+            this.game.restart();
         }
     }
 
@@ -644,15 +4746,118 @@ class RestartGameButton extends Item {
 	 */
 	draw(context, size) {
         //Draw button
-        context.fillStyle="#080";
-        context.beginPath();
-		context.fillRect(this.x * size, this.y * size, this.width * size, this.height * size)
-        context.fill();
+        super.draw(context, size);
         
-        //Draw text
-        context.font = "10px Tahoma";
+        //Draw text, it scales with button
+        context.font = Math.round(this.height * size * 0.5) + "px " + TextConstants.FONT;
+        context.textAlign = "center";
+        context.textBaseline = "middle";
         context.fillStyle="#000";
-        context.fillText("Try again!", this.x * size + (this.width * size) / 2, this.y * size + (this.height * size) / 2); 
+        context.fillText(this.label, this.x * size + (this.width * size) / 2, this.y * size + (this.height * size) / 2); 
+        context.textBaseline = "alphabetic";
+	}
+
+    /**
+     * Returns data of button for level format.
+     *
+     * @returns {ItemData} Data of button.
+     */
+    toJSON() {
+        var data = super.toJSON();
+        data.label = this.label;
+        return data;
+    }
+}/**
+ * Class for sign. Sign stays on its position and shows its text in message box
+ * when player touches it.
+ *
+ * @property {number} width  		Width of item in percents.
+ * @property {number} height 		Height of item in percents.
+ * @property {number} x      		X coordinate of item in percents.
+ * @property {number} y      		Y coordinate of item in percents.
+ * @property {Moving} moving 		Moving type of item.
+ * @property {string|string[]} text	Text of sign or its pages.
+ * @extends {Item}
+ * @since 1.1.0
+ */
+class Sign extends Item {
+
+	/**
+	 * Constructor of class Sign
+	 *
+	 * @param {number} width  Width of item in percents.
+	 * @param {number} height Height of item in percents. 
+	 */
+	constructor(width, height) {
+		super(width, height);
+		this.moving = Moving.FIXED;
+		this.text = "";
+		this.color = "#963";
+	}
+
+	/**
+	 * Sign stays on position where it was created.
+	 *
+	 * @param {Room} room Room where item is located.
+	 */
+	place(room) {
+	}
+
+	/**
+	 * Sign shows its text when player touches it.
+	 *
+	 * @param {Item} other Item that sign collided with.
+	 */
+	onCollide(other) {
+		if (other instanceof Player && this.game && this.text) {
+			this.game.say(this.text);
+		}
+	}
+
+	/**
+	 * Returns data of sign for level format.
+	 *
+	 * @returns {ItemData} Data of sign.
+	 */
+	toJSON() {
+		var data = super.toJSON();
+		data.text = this.text;
+		return data;
+	}
+}/**
+ * Class for walls and obstacles. Wall is solid, so it blocks movement of other items.
+ *
+ * @property {number} width  		Width of item in percents.
+ * @property {number} height 		Height of item in percents.
+ * @property {number} x      		X coordinate of item in percents.
+ * @property {number} y      		Y coordinate of item in percents.
+ * @property {Moving} moving 		Moving type of item.
+ * @property {boolean} solid		Wall is always solid.
+ * @property {string} color			Color of wall.
+ * @extends {Item}
+ * @since 1.1.0
+ */
+class Wall extends Item {
+
+	/**
+	 * Constructor of class Wall
+	 *
+	 * @param {number} width  Width of item in percents.
+	 * @param {number} height Height of item in percents. 
+	 */
+	constructor(width, height) {
+		super(width, height);
+		this.moving = Moving.FIXED;
+		this.solid = true;
+		this.color = "#444";
+	}
+
+	/**
+	 * Wall stays on position where it was created.
+	 *
+	 * @param {Room} room Room where item is located.
+	 */
+	place(room) {
 	}
 }/**
  * Game over room or game over screen is type of room without exit and with big title game over and try again door. 
@@ -668,47 +4873,135 @@ class GameOverRoom extends Room {
 	/**
 	 * Construction for Room.
 	 *
-	 * @param {number} [size = 1]	Size of room in percents.
+	 * @param {number} [size = 1]	Width of room in percents.
+	 * @param {number} [height]		Height of room in percents, room is square if it is not given.
 	 */
-	constructor(size = 1) {
-		super(size);
+	constructor(size = 1, height) {
+		super(size, height);
 		this.addItem(Items.restartGameButton());
+		this.on("enter", function(game) {
+			game.sound.play("gameover");
+		});
 	}
 
 	/**
 	 * Draws room and all objects in the room.
-	 * @param {context} context	Canvas context to draw on
-	 * @param {number} width	Width of the canvas in pixels
-	 * @param {number} height	Height of the canvas in pixels
+	 * @param {context} context			Canvas context to draw on
+	 * @param {number} width			Width of the canvas in pixels
+	 * @param {number} height			Height of the canvas in pixels
+	 * @param {CameraView} [view]		Visible part of room, whole room is centered if it is not given
 	 */
-	draw(context, width, height) {
-		this.rooms = {}; // There is no escape from this room. 
-		// Calculate room width
-		var roomSize = Math.min(width, height) * this.size;
+	draw(context, width, height, view) {
+		// There is no escape from this room. 
+		this.rooms = {};
+		this.doors = {};
+		// Calculate room width and height
+		view = view || Camera.fit(this, width, height);
+		var size = view.scale;
+		var roomWidth = size * this.width;
+		var roomHeight = size * this.height;
 		
-		var left = (width - roomSize) / 2;
-		var top = (height - roomSize) / 2;
+		var left = view.left;
+		var top = view.top;
 
-		// Draw room border
-		context.lineWidth = 1;
-		context.strokeRect(left, top, roomSize, roomSize);
+		// Draw background and border of room
+		this.drawBackground(context, left, top, roomWidth, roomHeight);
 
 		// Translate coordinate system, so that 0.0 in in top left corner of room
 		context.translate(left, top);
 
 		// Draw doors to other connected rooms
-		this.drawDoors(context, roomSize);
+		this.drawDoors(context, size);
 
 		// Draw all items in room
 		this.items.forEach(function(item) {
-			item.update(this);
-			item.draw(context, width < height ? widht : height);
-		}.bind(this));
+			item.draw(context, size);
+		});
 
-		context.font = "30px Tahoma";
+		context.font = Math.round(Math.min(roomWidth, roomHeight) * 0.1) + "px " + TextConstants.FONT;
 		context.fillStyle="#800";
 		context.textAlign = 'center';
-		context.fillText("GAME OVER!", roomSize/2, roomSize/2); 
+		context.fillText("GAME OVER!", roomWidth/2, roomHeight/2); 
+		context.fillStyle="#000";
+
+		// Remove translation
+		context.translate(-left, -top);
+	}
+
+}/**
+ * Victory room is shown when game is won. It has no exit, it shows
+ * time, score and number of visited rooms and button to play again.
+ * 
+ * @property {number} size	Size of room in percents of container size.
+ * @property {Item[]} items	Array of items in room.
+ * @property {{time: number, score: number, rooms: number}} stats	Results of the game or null.
+ * @extends {Room}
+ * @since 1.1.0
+ */
+class VictoryRoom extends Room {
+	
+	/**
+	 * Construction for Room.
+	 *
+	 * @param {number} [size = 1]	Width of room in percents.
+	 * @param {number} [height]		Height of room in percents, room is square if it is not given.
+	 */
+	constructor(size = 1, height) {
+		super(size, height);
+		this.stats = null;
+		var button = Items.restartGameButton();
+		button.label = "Play again!";
+		this.addItem(button);
+		this.on("enter", function(game) {
+			game.sound.play("victory");
+		});
+	}
+
+	/**
+	 * Draws room, all objects in the room and results of the game.
+	 * @param {context} context			Canvas context to draw on
+	 * @param {number} width			Width of the canvas in pixels
+	 * @param {number} height			Height of the canvas in pixels
+	 * @param {CameraView} [view]		Visible part of room, whole room is centered if it is not given
+	 */
+	draw(context, width, height, view) {
+		// There is no escape from this room. 
+		this.rooms = {};
+		this.doors = {};
+		view = view || Camera.fit(this, width, height);
+		var size = view.scale;
+		var roomWidth = size * this.width;
+		var roomHeight = size * this.height;
+		
+		var left = view.left;
+		var top = view.top;
+
+		this.drawBackground(context, left, top, roomWidth, roomHeight);
+		context.translate(left, top);
+		this.items.forEach(function(item) {
+			item.draw(context, size);
+		});
+
+		var fontSize = Math.round(Math.min(roomWidth, roomHeight) * 0.1);
+		context.font = fontSize + "px " + TextConstants.FONT;
+		context.fillStyle="#080";
+		context.textAlign = 'center';
+		context.fillText("YOU WIN!", roomWidth/2, roomHeight/3); 
+
+		if (this.stats) {
+			var minutes = Math.floor(this.stats.time / 60);
+			var seconds = Math.floor(this.stats.time % 60);
+			var lines = [
+				"Time: " + minutes + ":" + (seconds < 10 ? "0" : "") + seconds,
+				"Score: " + this.stats.score,
+				"Rooms visited: " + this.stats.rooms
+			];
+			context.font = Math.round(fontSize / 2) + "px " + TextConstants.FONT;
+			context.fillStyle="#000";
+			lines.forEach(function(line, i) {
+				context.fillText(line, roomWidth/2, roomHeight/3 + fontSize * (i + 1.5) * 0.7);
+			});
+		}
 		context.fillStyle="#000";
 
 		// Remove translation
@@ -736,40 +5029,469 @@ class Items {
 	/**
 	 * Creates instance of type AngryRobot.
 	 * 
+	 * @param {number} [width = 6]	Width of robot in percents (form 0 % to 100 %).
+	 * @param {number} [height = 6]	Height of robot in percents (form 0 % to 100 %).
 	 * @returns {AngryRobot} Instance of AngryRobot.
 	 */
-	static angryRobot() {
-		return new AngryRobot();
+	static angryRobot(width = 6, height = 6) {
+		return new AngryRobot(width / 100, height / 100);
 	}
 	
 	/**
 	 * Creates instance of type Helper.
 	 *
+	 * @param {number} [width = 5]	Width of helper in percents (form 0 % to 100 %).
+	 * @param {number} [height = 5]	Height of helper in percents (form 0 % to 100 %).
+	 * @param {string} [message = "Hello!"]	Message that helper says to the player.
 	 * @returns {Helper} Instance of Helper.
 	 */
-	static helper() {
-		return new Helper();
+	static helper(width = 5, height = 5, message = "Hello!") {
+		var helper = new Helper(width / 100, height / 100);
+		helper.message = message;
+		return helper;
+	}
+	
+	/**
+	 * Creates instance of type Bonus.
+	 *
+	 * @param {number} [width = 3]	Width of bonus in percents (form 0 % to 100 %).
+	 * @param {number} [height = 3]	Height of bonus in percents (form 0 % to 100 %).
+	 * @param {number} [value = 10]	Number of points that player gets for bonus.
+	 * @returns {Bonus} Instance of Bonus.
+	 */
+	static bonus(width = 3, height = 3, value = 10) {
+		var bonus = new Bonus(width / 100, height / 100);
+		bonus.value = value;
+		return bonus;
+	}
+
+	/**
+	 * Creates instance of Wall on specified position.
+	 *
+	 * @param {number} x		X coordinate of wall in percents (form 0 % to 100 %).
+	 * @param {number} y		Y coordinate of wall in percents (form 0 % to 100 %).
+	 * @param {number} width	Width of wall in percents (form 0 % to 100 %).
+	 * @param {number} height	Height of wall in percents (form 0 % to 100 %).
+	 * @returns {Wall} Instance of Wall.
+	 */
+	static wall(x, y, width, height) {
+		var wall = new Wall(width / 100, height / 100);
+		wall.x = x / 100;
+		wall.y = y / 100;
+		return wall;
+	}
+
+	/**
+	 * Creates instance of RestartGameButton.
+	 * @param {number} [width = 10]	Width of button in percents (form 0 % to 100 %).
+	 * @param {number} [height = 10] Height of button in percents (form 0 % to 100 %).
+	 * @returns {Bonus} Instance of RestartGameButton.
+	 */
+	static restartGameButton(width = 10, height = 5) {
+		return new RestartGameButton(width / 100, height / 100);
+	}
+
+	/**
+	 * Creates instance of Sign on specified position.
+	 *
+	 * @param {number} x				X coordinate of sign in percents (form 0 % to 100 %).
+	 * @param {number} y				Y coordinate of sign in percents (form 0 % to 100 %).
+	 * @param {string|string[]} text	Text of sign or its pages.
+	 * @param {number} [width = 5]		Width of sign in percents (form 0 % to 100 %).
+	 * @param {number} [height = 5]		Height of sign in percents (form 0 % to 100 %).
+	 * @returns {Sign} Instance of Sign.
+	 */
+	static sign(x, y, text, width = 5, height = 5) {
+		var sign = new Sign(width / 100, height / 100);
+		sign.x = x / 100;
+		sign.y = y / 100;
+		sign.text = text;
+		return sign;
+	}
+
+	/**
+	 * Creates instance of Collectible.
+	 *
+	 * @param {string} kind				Kind of item, items of the same kind are stacked in inventory.
+	 * @param {number} [width = 5]		Width of item in percents (form 0 % to 100 %).
+	 * @param {number} [height = 5]		Height of item in percents (form 0 % to 100 %).
+	 * @returns {Collectible} Instance of Collectible.
+	 */
+	static collectible(kind, width = 5, height = 5) {
+		var item = new Collectible(width / 100, height / 100);
+		item.kind = kind;
+		return item;
+	}
+
+	/**
+	 * Registers type of item, so it can be saved and loaded in level format.
+	 * Type registered by script is replaced when script registers it again on restart,
+	 * types of Ne can not be replaced.
+	 *
+	 * @param {string} name		Name of type in level format.
+	 * @param {function} type	Class of item.
+	 */
+	static register(name, type) {
+		if (name in Items.types && !Items.custom.has(name)) {
+			throw new Error("Type of item already exists: " + name);
+		}
+		Items.types[name] = type;
+		Items.custom.add(name);
+	}
+
+	/**
+	 * Defines new kind of collectible item. Kind is registered and factory
+	 * Items[name](width, height) is created for it. Defining kind again replaces it,
+	 * so script can define its kinds on every start of the game.
+	 *
+	 * @example
+	 * Items.define("key", {color: "#fc0", onUse: function(player) { player.room.openDoor(otherRoom); }});
+	 * mainRoom.addItem(Items.key());
+	 *
+	 * @param {string} name						Name of kind and type.
+	 * @param {Object} [options]				Properties of kind.
+	 * @param {number} [options.width = 5]		Width of item in percents.
+	 * @param {number} [options.height = 5]		Height of item in percents.
+	 * @param {string} [options.color]			Color of item.
+	 * @param {string} [options.image]			Url of image of item.
+	 * @param {SpriteData} [options.sprite]		Spritesheet of item.
+	 * @param {boolean} [options.consumable]	True if item disappears when it is used.
+	 * @param {function} [options.onUse]		Function (player) that is called when item is used.
+	 * @param {function} [options.onPickUp]		Function (player) that is called when item is picked up.
+	 * @returns {function} Class of new kind.
+	 */
+	static define(name, options = {}) {
+		// Script defines its kinds again on every restart
+		if (name in Items && !Items.custom.has(name)) {
+			throw new Error("Type of item already exists: " + name);
+		}
+		var type = class extends Collectible {
+			constructor(width, height) {
+				super(width, height);
+				this.kind = name;
+				["color", "image", "sprite", "consumable"].forEach(function(key) {
+					if (key in options) {
+						this[key] = options[key];
+					}
+				}.bind(this));
+			}
+		};
+		if (options.onUse) {
+			type.prototype.onUse = options.onUse;
+		}
+		if (options.onPickUp) {
+			type.prototype.onPickUp = options.onPickUp;
+		}
+		Items.register(name, type);
+		Items[name] = function(width = options.width || 5, height = options.height || 5) {
+			return new type(width / 100, height / 100);
+		};
+		return type;
+	}
+
+	/**
+	 * Returns name of type of item that is used in level format.
+	 *
+	 * @param {Item} item Item.
+	 * @returns {string} Name of type.
+	 */
+	static typeOf(item) {
+		var types = Object.keys(Items.types);
+		for (var i = 0; i < types.length; i++) {
+			if (Items.types[types[i]] === item.constructor) {
+				return types[i];
+			}
+		}
+		return "item";
+	}
+
+	/**
+	 * Copies properties from data of level format to item.
+	 *
+	 * @param {Item} item		Item to change.
+	 * @param {ItemData} data	Data of item.
+	 * @returns {Item} Changed item.
+	 */
+	static assign(item, data) {
+		Object.keys(data).forEach(function(key) {
+			if (key == "type") {
+				return;
+			}
+			// Objects like inventory load their data instead of being replaced
+			if (item[key] && typeof item[key].load == "function") {
+				item[key].load(data[key]);
+			} else {
+				item[key] = data[key];
+			}
+		});
+		return item;
+	}
+
+	/**
+	 * Creates item from data of level format.
+	 *
+	 * @param {ItemData} data Data of item.
+	 * @returns {Item} New item.
+	 */
+	static fromJSON(data) {
+		var type = Items.types[data.type || "item"];
+		if (!type) {
+			throw new Error("Unknown type of item: " + data.type);
+		}
+		return Items.assign(new type(data.width, data.height), data);
+	}
+}
+
+/** Names of types registered by scripts, they can be registered again. */
+Items.custom = new Set();
+
+/** Types of items by their names in level format. */
+Items.types = {
+	item: Item,
+	player: Player,
+	angryRobot: AngryRobot,
+	bonus: Bonus,
+	helper: Helper,
+	wall: Wall,
+	restartGameButton: RestartGameButton,
+	sign: Sign,
+	collectible: Collectible
+};
+/**
+ * Helper for saving and loading levels. Level is plain JSON object, so it can be
+ * saved, shared and edited without code. All sizes and positions are in the same units
+ * as in Room and Item, 1 is size of the container.
+ *
+ * Check functions of doors can not be saved, they have to be added by script after level is loaded.
+ *
+ * @example
+ * {
+ *   "version": 1,
+ *   "start": 0,
+ *   "rooms": [
+ *     {"id": 0, "size": 1, "doors": [{"direction": 2, "room": 1}], "items": [{"type": "bonus", "x": 0.5, "y": 0.5}]},
+ *     {"id": 1, "type": "gameOverRoom"}
+ *   ]
+ * }
+ * @since 1.1.0
+ */
+class Levels {
+
+	/**
+	 * Version of level format that is written by Levels.toJSON.
+	 *
+	 * @returns {number} Version of level format.
+	 */
+	static get VERSION() {
+		return 1;
+	}
+
+	/**
+	 * Exports all rooms connected with starting room.
+	 *
+	 * @param {Room} start		Room where game starts.
+	 * @param {Room} [current]	Room where player currently is.
+	 * @returns {LevelData} Data of level.
+	 */
+	static toJSON(start, current) {
+		var ids = Levels.roomIds(start);
+		var data = {
+			version: Levels.VERSION,
+			start: 0,
+			rooms: Array.from(ids.keys()).map(function(room) {
+				return room.serialize(ids);
+			})
+		};
+		if (current && ids.has(current) && current != start) {
+			data.currentRoom = ids.get(current);
+		}
+		return data;
+	}
+
+	/**
+	 * Gives ids to all rooms connected with starting room in order in which they are reached.
+	 *
+	 * @param {Room} start Room with id 0.
+	 * @returns {Map.<Room, number>} Ids of rooms.
+	 */
+	static roomIds(start) {
+		var ids = new Map();
+		var queue = [start];
+		ids.set(start, 0);
+		while (queue.length > 0) {
+			var room = queue.shift();
+			Object.keys(room.rooms).forEach(function(direction) {
+				room.rooms[direction].forEach(function(next) {
+					if (!ids.has(next)) {
+						ids.set(next, ids.size);
+						queue.push(next);
+					}
+				});
+			});
+		}
+		return ids;
 	}
-	
+
 	/**
-	 * Creates instance of type Bonus.
+	 * Creates rooms of level. Doors that are written only in one of the rooms
+	 * are added to the other room too.
 	 *
-	 * @returns {Bonus} Instance of Bonus.
+	 * @param {LevelData} data Data of level.
+	 * @returns {{start: Room, current: Room, rooms: Room[]}} Starting room, current room and all rooms of level.
 	 */
-	static bonus() {
-		return new Bonus();
+	static fromJSON(data) {
+		if (data.version > Levels.VERSION) {
+			throw new Error("Unsupported version of level: " + data.version);
+		}
+		if (!data.rooms || data.rooms.length == 0) {
+			throw new Error("Level has no rooms");
+		}
+		var rooms = new Map();
+		data.rooms.forEach(function(roomData) {
+			var type = Rooms.types[roomData.type || "room"];
+			if (!type) {
+				throw new Error("Unknown type of room: " + roomData.type);
+			}
+			var size = (roomData.size === undefined) ? 1 : roomData.size;
+			var room = new type(size, (roomData.height === undefined) ? size : roomData.height);
+			room.color = roomData.color || null;
+			room.image = roomData.image || null;
+			room.title = roomData.title || null;
+			room.music = roomData.music || null;
+			room.goal = !!roomData.goal;
+			// Level contains all items, also those that room creates itself
+			room.items.slice().forEach(function(item) {
+				room.removeItem(item);
+			});
+			rooms.set(roomData.id, room);
+		});
+
+		var getRoom = function(id) {
+			if (!rooms.has(id)) {
+				throw new Error("Unknown room in level: " + id);
+			}
+			return rooms.get(id);
+		};
+
+		// Create doors in the same order as they are written
+		data.rooms.forEach(function(roomData) {
+			var room = getRoom(roomData.id);
+			(roomData.doors || []).forEach(function(doorData) {
+				Levels.addDoor(room, getRoom(doorData.room), doorData.direction, doorData.locked, doorData);
+			});
+		});
+
+		// Add missing doors on the other side
+		data.rooms.forEach(function(roomData) {
+			var room = getRoom(roomData.id);
+			(roomData.doors || []).forEach(function(doorData) {
+				var other = getRoom(doorData.room);
+				var inversedDirection = Direction.inverse(doorData.direction);
+				if (!(inversedDirection in other.rooms) || other.rooms[inversedDirection].indexOf(room) == -1) {
+					Levels.addDoor(other, room, inversedDirection, doorData.locked, doorData);
+				}
+			});
+		});
+
+		data.rooms.forEach(function(roomData) {
+			var room = getRoom(roomData.id);
+			(roomData.items || []).forEach(function(itemData) {
+				var item = Items.fromJSON(itemData);
+				room.addItem(item);
+				// Keep position from level instead of position chosen by item
+				Items.assign(item, itemData);
+			});
+		});
+
+		var start = getRoom(data.start === undefined ? data.rooms[0].id : data.start);
+		return {
+			start: start,
+			current: data.currentRoom === undefined ? start : getRoom(data.currentRoom),
+			rooms: Array.from(rooms.values())
+		};
 	}
 
 	/**
-	 * Creates instance of RestartGameButton.
-	 * @param {number} [width = 10]	Width of button in percents (form 0 % to 100 %).
-	 * @param {number} [height = 10] Height of button in percents (form 0 % to 100 %).
-	 * @returns {Bonus} Instance of RestartGameButton.
+	 * Adds one way door from room to another room.
+	 *
+	 * @param {Room} room				Room where door is placed.
+	 * @param {Room} other				Room where door leads to.
+	 * @param {Direction} direction		Direction of door.
+	 * @param {boolean} [locked = false] True if door is locked.
+	 * @param {DoorData} [style]		Data with color and image of door.
+	 * @returns {Door} New door.
 	 */
-	static restartGameButton(width = 10, height = 5) {
-		return new RestartGameButton(width / 100, height / 100);
+	static addDoor(room, other, direction, locked = false, style = {}) {
+		if (!(direction in room.rooms)) {
+			room.rooms[direction] = [];
+			room.doors[direction] = [];
+		}
+		var door = new Door(other);
+		door.locked = Boolean(locked);
+		door.color = style.color || null;
+		door.image = style.image || null;
+		room.rooms[direction].push(other);
+		room.doors[direction].push(door);
+		other.entrances.add(room);
+		return door;
 	}
-}/**
+}
+
+/**
+ * Data of level.
+ *
+ * @typedef {Object} LevelData
+ * @property {number} version			Version of level format.
+ * @property {number} [start]			Id of room where game starts, first room by default.
+ * @property {number} [currentRoom]		Id of room where player is, starting room by default.
+ * @property {RoomData[]} rooms			All rooms of level.
+ * @property {ItemData} [player]		Player and its position in current room.
+ */
+
+/**
+ * Data of room.
+ *
+ * @typedef {Object} RoomData
+ * @property {number} id				Id of room, unique in level.
+ * @property {string} [type = "room"]	Type of room, key of Rooms.types.
+ * @property {number} [size = 1]		Size (width) of room.
+ * @property {number} [height]			Height of room, room is square if it is not given.
+ * @property {DoorData[]} [doors]		Doors to other rooms, in order in which they are placed.
+ * @property {string} [color]			Background color of room.
+ * @property {string} [image]			Url of background image of room.
+ * @property {string} [title]			Title that is shown when player enters room.
+ * @property {string} [music]			Url of background music of room.
+ * @property {boolean} [goal = false]	True if game is won when player enters room.
+ * @property {ItemData[]} [items]		Items in room.
+ */
+
+/**
+ * Data of door.
+ *
+ * @typedef {Object} DoorData
+ * @property {Direction} direction		Direction of door.
+ * @property {number} room				Id of room where door leads to.
+ * @property {boolean} [locked = false]	True if door is locked.
+ * @property {string} [color]			Color of door.
+ * @property {string} [image]			Url of image of door.
+ */
+
+/**
+ * Data of item. Other properties of item (for example value of bonus) are copied to item.
+ *
+ * @typedef {Object} ItemData
+ * @property {string} [type = "item"]	Type of item, key of Items.types.
+ * @property {number} x					X coordinate of item.
+ * @property {number} y					Y coordinate of item.
+ * @property {number} width				Width of item.
+ * @property {number} height			Height of item.
+ * @property {Moving} [moving]			Moving type of item.
+ * @property {number} [speed]			Speed of item.
+ * @property {boolean} [solid]			True if item blocks movement of other items.
+ * @property {string} [color]			Color of item.
+ * @property {string} [image]			Url of image of item.
+ * @property {SpriteData} [sprite]		Animated spritesheet of item.
+ *//**
  * Helper and object factory for Rooms.
  *
  * @since 1.0.0
@@ -779,11 +5501,12 @@ class Rooms {
     /**
      * Creates new Room.
      * 
-     * @param {number} [size = 100] Size of room in percents. 
+     * @param {number} [size = 100] Size (width) of room in percents. 
+     * @param {number} [height] Height of room in percents, room is square if it is not given. 
      * @returns New instance of Room.
      */
-    static room(size = 100){
-        return new Room(size/100);
+    static room(size = 100, height){
+        return new Room(size/100, (height === undefined) ? undefined : height/100);
     }
     /**
      * Creates new game over room.
@@ -794,19 +5517,185 @@ class Rooms {
     static gameOverRoom(size = 100) {
         return new GameOverRoom(size/100);
     }
+
+    /**
+     * Creates new goal room. Game is won when player enters it.
+     * 
+     * @param {number} [size = 100] Size (width) of room in percents. 
+     * @param {number} [height] Height of room in percents, room is square if it is not given. 
+     * @returns New instance of Room.
+     */
+    static goalRoom(size = 100, height) {
+        var room = Rooms.room(size, height);
+        room.goal = true;
+        return room;
+    }
+
+    /**
+     * Creates new victory room.
+     * 
+     * @param {number} [size = 100] Size of victory room in percents. 
+     * @returns New instance of VictoryRoom.
+     */
+    static victoryRoom(size = 100) {
+        return new VictoryRoom(size/100);
+    }
+
+    /**
+     * Generates connected dungeon from seed. Rooms are placed on a grid, so their doors never
+     * contradict each other and every wall has at most one new door. The same seed and options
+     * always give the same dungeon. Goal room is the room farthest from starting room,
+     * set its goal to true to win the game there.
+     * 
+     * @param {Object} [options] Options of generator.
+     * @param {number|string} [options.seed = Date.now()] Seed of dungeon, it can be shared by players.
+     * @param {Room} [options.start] Room where dungeon starts, new room is created if it is not given.
+     * @param {number} [options.rooms = 8] Number of new rooms.
+     * @param {number} [options.branching = 0.3] Probability (from 0 to 1) that new room branches from random room instead of the last one.
+     * @param {number} [options.minSize = 100] Minimal size of room in percents.
+     * @param {number} [options.maxSize = 100] Maximal size of room in percents.
+     * @param {number} [options.enemies = 0.5] Average number of angry robots in room.
+     * @param {number} [options.bonuses = 1] Average number of bonuses in room.
+     * @returns {{seed: (number|string), start: Room, goal: Room, rooms: Room[]}} Generated dungeon.
+     */
+    static generate(options = {}) {
+        var settings = Object.assign({
+            seed: Date.now(),
+            start: null,
+            rooms: 8,
+            branching: 0.3,
+            minSize: 100,
+            maxSize: 100,
+            enemies: 0.5,
+            bonuses: 1
+        }, options);
+        var random = new Random(settings.seed);
+        var start = settings.start || Rooms.room(random.integer(settings.minSize, settings.maxSize));
+
+        // Cells taken by start room and rooms already connected to it
+        var cells = {};
+        var positions = Minimap.layout(start).positions;
+        positions.forEach(function(position, room) {
+            cells[position.x + "," + position.y] = room;
+        });
+        var offsets = {};
+        offsets[Direction.LEFT] = {x: -1, y: 0};
+        offsets[Direction.UP] = {x: 0, y: -1};
+        offsets[Direction.RIGHT] = {x: 1, y: 0};
+        offsets[Direction.DOWN] = {x: 0, y: 1};
+
+        var freeDirections = function(room) {
+            var position = positions.get(room);
+            return [Direction.LEFT, Direction.UP, Direction.RIGHT, Direction.DOWN].filter(function(direction) {
+                var doors = room.rooms[direction] || [];
+                var cell = (position.x + offsets[direction].x) + "," + (position.y + offsets[direction].y);
+                return !(cell in cells) && doors.length < DoorConstants.MAX_NUMBER;
+            });
+        };
+
+        var rooms = [start];
+        var last = start;
+        while (rooms.length <= settings.rooms) {
+            // Continue from the last room or branch from random room
+            var candidates = random.shuffle(rooms);
+            if (!random.chance(settings.branching)) {
+                candidates.unshift(last);
+            }
+            var base = candidates.find(function(room) {
+                return freeDirections(room).length > 0;
+            });
+            if (!base) {
+                break;
+            }
+            var direction = random.pick(freeDirections(base));
+            var position = positions.get(base);
+            var room = Rooms.room(random.integer(settings.minSize, settings.maxSize));
+            base.addRoom(room, direction);
+
+            var newPosition = {x: position.x + offsets[direction].x, y: position.y + offsets[direction].y};
+            positions.set(room, newPosition);
+            cells[newPosition.x + "," + newPosition.y] = room;
+            rooms.push(room);
+            last = room;
+        }
+
+        // Fill rooms with enemies and bonuses, starting room stays safe
+        var count = function(density) {
+            return Math.floor(density) + (random.chance(density % 1) ? 1 : 0);
+        };
+        rooms.slice(1).forEach(function(room) {
+            var items = [];
+            for (var i = count(settings.enemies); i > 0; i--) {
+                items.push(Items.angryRobot());
+            }
+            for (var j = count(settings.bonuses); j > 0; j--) {
+                items.push(Items.bonus());
+            }
+            items.forEach(function(item) {
+                room.addItem(item);
+                item.x = random.range(0, room.width - item.width);
+                item.y = random.range(0, room.height - item.height);
+            });
+        });
+
+        // Goal is the room farthest from the start
+        var distances = new Map([[start, 0]]);
+        var queue = [start];
+        var goal = start;
+        while (queue.length > 0) {
+            var current = queue.shift();
+            if (distances.get(current) > distances.get(goal)) {
+                goal = current;
+            }
+            Object.keys(current.rooms).forEach(function(direction) {
+                current.rooms[direction].forEach(function(next) {
+                    if (!distances.has(next) && rooms.indexOf(next) != -1) {
+                        distances.set(next, distances.get(current) + 1);
+                        queue.push(next);
+                    }
+                });
+            });
+        }
+
+        return {seed: settings.seed, start: start, goal: goal, rooms: rooms};
+    }
+
+    /**
+     * Returns name of type of room that is used in level format.
+     * 
+     * @param {Room} room Room.
+     * @returns {string} Name of type.
+     */
+    static typeOf(room) {
+        var types = Object.keys(Rooms.types);
+        for (var i = 0; i < types.length; i++) {
+            if (Rooms.types[types[i]] === room.constructor) {
+                return types[i];
+            }
+        }
+        return "room";
+    }
 }
 
+/** Types of rooms by their names in level format. */
+Rooms.types = {
+    room: Room,
+    gameOverRoom: GameOverRoom,
+    victoryRoom: VictoryRoom
+};
+
 /** Extention method for end user on class Room **/
 
 /**
 * Creates new room and moves it to the up of this room.
 * 
 * @param {number} [size = 100]	Size of room in percents (from 0% to 100%).
+* @param {function} [checkFunction]	Function (player, fromRoom, toRoom) that checks if player can move in new room.
 * @returns {Room} New room.
 */
-Room.prototype.newUpRoom = function newUpRoom(size = 100) {
+Room.prototype.newUpRoom = function newUpRoom(size = 100, checkFunction) {
     var room = Rooms.room(size);
-    this.addRoom(room, Direction.UP);
+    this.addRoom(room, Direction.UP, checkFunction);
     return room;
  }
 
@@ -814,11 +5703,12 @@ Room.prototype.newUpRoom = function newUpRoom(size = 100) {
  * Creates new room and moves it to the right of this room.
  * 
  * @param {number} [size = 100]	Size of room in percents (from 0% to 100%).
+ * @param {function} [checkFunction]	Function (player, fromRoom, toRoom) that checks if player can move in new room.
  * @returns {Room} New room.
  */
-Room.prototype.newRightRoom = function newRightRoom(size = 100) {
+Room.prototype.newRightRoom = function newRightRoom(size = 100, checkFunction) {
     var room = Rooms.room(size);
-    this.addRoom(room, Direction.RIGHT);
+    this.addRoom(room, Direction.RIGHT, checkFunction);
     return room;
  }
 
@@ -826,11 +5716,12 @@ Room.prototype.newRightRoom = function newRightRoom(size = 100) {
  * Creates new room and moves it to the down of this room.
  * 
  * @param {number} [size = 100]	Size of room in percents (from 0% to 100%).
+ * @param {function} [checkFunction]	Function (player, fromRoom, toRoom) that checks if player can move in new room.
  * @returns {Room} New room.
  */
-Room.prototype.newDownRoom = function newDownRoom(size = 100) {
+Room.prototype.newDownRoom = function newDownRoom(size = 100, checkFunction) {
     var room = Rooms.room(size);
-    this.addRoom(room, Direction.DOWN);
+    this.addRoom(room, Direction.DOWN, checkFunction);
     return room;
  }
 
@@ -838,10 +5729,545 @@ Room.prototype.newDownRoom = function newDownRoom(size = 100) {
 * Creates new room and moves it to the left of this room.  
 * 
 * @param {number} [size = 100]	Size of room in percents (from 0% to 100%).
+* @param {function} [checkFunction]	Function (player, fromRoom, toRoom) that checks if player can move in new room.
 * @returns {Room} New room.
 */
-Room.prototype.newLeftRoom = function newLeftRoom(size = 100) {
+Room.prototype.newLeftRoom = function newLeftRoom(size = 100, checkFunction) {
     var room = Rooms.room(size);
-    this.addRoom(room, Direction.LEFT);
+    this.addRoom(room, Direction.LEFT, checkFunction);
     return room;
 }   
+
+
+/**
+ * Sound plays synthesized effects, audio files and background music with Web Audio.
+ * Browsers allow sound only after user interacts with the page, so audio starts
+ * after first key press, click or touch. Effects played before that are skipped.
+ *
+ * @property {number} volume	Volume of all sounds from 0 to 1.
+ * @property {boolean} muted	True if sound is muted.
+ * @property {string} music		Url of music that plays in rooms without their own music.
+ * @since 1.1.0
+ */
+class Sound {
+
+	/**
+	 * Constructor for Sound.
+	 */
+	constructor() {
+		this.volume = 1;
+		this.muted = false;
+		this.music = null;
+		this.context = null;
+		this.master = null;
+		// Files are downloaded before first gesture, but decoded later
+		this.files = {};
+		this.buffers = {};
+		this.playing = null;
+		this.source = null;
+		this.onGesture = this.unlock.bind(this);
+	}
+
+	/**
+	 * Starts waiting for first gesture of user.
+	 */
+	attach() {
+		if (this.context) {
+			return;
+		}
+		Sound.GESTURES.forEach(function(name) {
+			window.addEventListener(name, this.onGesture, true);
+		}.bind(this));
+	}
+
+	/**
+	 * Stops music and waiting for gesture. Audio context is kept for next start of the game.
+	 */
+	detach() {
+		Sound.GESTURES.forEach(function(name) {
+			window.removeEventListener(name, this.onGesture, true);
+		}.bind(this));
+		this.playMusic(null);
+	}
+
+	/**
+	 * Names of events that allow audio to start.
+	 *
+	 * @returns {string[]} Names of events.
+	 */
+	static get GESTURES() {
+		return ["keydown", "mousedown", "touchstart", "pointerdown"];
+	}
+
+	/**
+	 * Creates audio context after first gesture of user and starts music that is waiting.
+	 */
+	unlock() {
+		Sound.GESTURES.forEach(function(name) {
+			window.removeEventListener(name, this.onGesture, true);
+		}.bind(this));
+		var AudioContext = window.AudioContext || window.webkitAudioContext;
+		if (!AudioContext || this.context) {
+			return;
+		}
+		this.context = new AudioContext();
+		this.master = this.context.createGain();
+		this.master.connect(this.context.destination);
+		this.updateVolume();
+		var music = this.playing;
+		this.playing = null;
+		this.playMusic(music);
+	}
+
+	/**
+	 * Sets volume of all sounds.
+	 *
+	 * @param {number} volume Volume from 0 to 1.
+	 */
+	setVolume(volume) {
+		this.volume = Math.min(1, Math.max(0, volume));
+		this.updateVolume();
+	}
+
+	/**
+	 * Mutes or unmutes all sounds.
+	 *
+	 * @param {boolean} [muted = true] True to mute.
+	 */
+	mute(muted = true) {
+		this.muted = muted;
+		this.updateVolume();
+	}
+
+	/**
+	 * Applies volume and mute to audio context.
+	 */
+	updateVolume() {
+		if (this.master) {
+			this.master.gain.value = this.muted ? 0 : this.volume;
+		}
+	}
+
+	/**
+	 * Plays effect or audio file. Effects are defined in SoundConstants.EFFECTS,
+	 * other names are urls of audio files.
+	 *
+	 * @param {string} name Name of effect or url of audio file.
+	 */
+	play(name) {
+		if (!this.context) {
+			return;
+		}
+		if (name in SoundConstants.EFFECTS) {
+			this.synthesize(SoundConstants.EFFECTS[name]);
+			return;
+		}
+		this.decode(name).then(function(buffer) {
+			if (buffer) {
+				this.playBuffer(buffer, false, 1);
+			}
+		}.bind(this));
+	}
+
+	/**
+	 * Plays tones of synthesized effect.
+	 *
+	 * @param {ToneData[]} tones Tones of effect.
+	 */
+	synthesize(tones) {
+		var now = this.context.currentTime;
+		tones.forEach(function(tone) {
+			var start = now + (tone.delay || 0);
+			var end = start + tone.duration;
+			var oscillator = this.context.createOscillator();
+			oscillator.type = tone.wave || "square";
+			oscillator.frequency.setValueAtTime(tone.frequency, start);
+			if (tone.slide) {
+				oscillator.frequency.exponentialRampToValueAtTime(tone.slide, end);
+			}
+
+			// Volume fades out, so tone does not click
+			var gain = this.context.createGain();
+			gain.gain.setValueAtTime((tone.volume === undefined) ? 0.2 : tone.volume, start);
+			gain.gain.exponentialRampToValueAtTime(0.001, end);
+
+			oscillator.connect(gain);
+			gain.connect(this.master);
+			oscillator.start(start);
+			oscillator.stop(end);
+		}.bind(this));
+	}
+
+	/**
+	 * Starts downloading of audio file.
+	 *
+	 * @param {string} url Url of audio file.
+	 * @returns {Promise} Promise of content of file.
+	 */
+	load(url) {
+		if (!(url in this.files)) {
+			this.files[url] = fetch(url).then(function(response) {
+				if (!response.ok) {
+					throw new Error("Status " + response.status);
+				}
+				return response.arrayBuffer();
+			}).catch(function(error) {
+				// Next request of file tries it again
+				delete this.files[url];
+				throw error;
+			}.bind(this));
+		}
+		return this.files[url];
+	}
+
+	/**
+	 * Decodes audio file, so it can be played.
+	 *
+	 * @param {string} url Url of audio file.
+	 * @returns {Promise} Promise of decoded audio or null if file can not be loaded.
+	 */
+	decode(url) {
+		if (!(url in this.buffers)) {
+			this.buffers[url] = this.load(url).then(function(data) {
+				return this.context.decodeAudioData(data.slice(0));
+			}.bind(this)).catch(function(error) {
+				// Sandboxed frame has opaque origin "null", it can fetch only files with CORS headers
+				var sandboxed = window.origin == "null";
+				Logger.error(sandboxed ? "Sound can not be loaded, sandboxed game needs url with CORS headers" :
+					"Sound can not be loaded", url, error);
+				// Failed sound is loaded again next time it is played
+				delete this.buffers[url];
+				return null;
+			}.bind(this));
+		}
+		return this.buffers[url];
+	}
+
+	/**
+	 * Plays decoded audio.
+	 *
+	 * @param {Object} buffer	Decoded audio.
+	 * @param {boolean} loop	True to play it again when it ends.
+	 * @param {number} volume	Volume of audio from 0 to 1.
+	 * @returns {Object} Source of audio, it can be stopped.
+	 */
+	playBuffer(buffer, loop, volume) {
+		var source = this.context.createBufferSource();
+		source.buffer = buffer;
+		source.loop = loop;
+		var gain = this.context.createGain();
+		gain.gain.value = volume;
+		source.connect(gain);
+		gain.connect(this.master);
+		source.start();
+		return source;
+	}
+
+	/**
+	 * Plays background music in loop. Music that already plays is not restarted.
+	 *
+	 * @param {string} url Url of audio file or null to stop music.
+	 */
+	playMusic(url) {
+		if (url == this.playing) {
+			return;
+		}
+		if (this.source) {
+			this.source.stop();
+			this.source = null;
+		}
+		this.playing = url || null;
+		if (!url || !this.context) {
+			// Music starts after first gesture
+			if (url) {
+				this.load(url).catch(function() {
+					// Error is logged when music is decoded
+				});
+			}
+			return;
+		}
+		this.decode(url).then(function(buffer) {
+			// Other music could be started while this one was loading
+			if (buffer && this.playing == url && !this.source) {
+				this.source = this.playBuffer(buffer, true, SoundConstants.MUSIC_VOLUME);
+			}
+		}.bind(this));
+	}
+}
+
+/**
+ * Tone of synthesized effect.
+ *
+ * @typedef {Object} ToneData
+ * @property {number} frequency			Frequency of tone in hertz.
+ * @property {number} duration			Duration of tone in seconds.
+ * @property {number} [slide]			Frequency at the end of tone.
+ * @property {number} [delay = 0]		Delay from start of effect in seconds.
+ * @property {string} [wave = "square"]	Type of oscillator: "sine", "square", "sawtooth" or "triangle".
+ * @property {number} [volume = 0.2]	Volume of tone from 0 to 1.
+ */
+
+/**
+ * Static helper for drawing text that wraps and scales with the canvas.
+ * It is not called Text, so it does not hide Text nodes of the DOM.
+ *
+ * @since 1.1.0
+ */
+class TextLayout {
+
+	/**
+	 * Returns size of font for canvas.
+	 *
+	 * @param {number} width	Width of canvas in pixels.
+	 * @param {number} height	Height of canvas in pixels.
+	 * @returns {number} Size of font in pixels.
+	 */
+	static fontSize(width, height) {
+		return Math.max(TextConstants.MIN_SIZE, Math.round(Math.min(width, height) * TextConstants.SIZE));
+	}
+
+	/**
+	 * Splits text to lines that fit in width with current font of context.
+	 * New lines in text are kept. Words longer than line are not split.
+	 *
+	 * @param {Object} context	2D context of Canvas
+	 * @param {string} text		Text to split.
+	 * @param {number} width	Maximum width of line in pixels.
+	 * @returns {string[]} Lines of text.
+	 */
+	static wrap(context, text, width) {
+		var lines = [];
+		String(text).split("\n").forEach(function(paragraph) {
+			var line = "";
+			paragraph.split(" ").forEach(function(word) {
+				var candidate = line ? line + " " + word : word;
+				if (line && context.measureText(candidate).width > width) {
+					lines.push(line);
+					line = word;
+				} else {
+					line = candidate;
+				}
+			});
+			lines.push(line);
+		});
+		return lines;
+	}
+
+	/**
+	 * Draws wrapped text with current font, alignment and color of context.
+	 *
+	 * @param {Object} context		2D context of Canvas
+	 * @param {string} text			Text to draw.
+	 * @param {number} x			X coordinate of text in pixels.
+	 * @param {number} y			Y coordinate of first line in pixels.
+	 * @param {number} width		Maximum width of line in pixels.
+	 * @param {number} lineHeight	Height of line in pixels.
+	 * @returns {number} Number of drawn lines.
+	 */
+	static draw(context, text, x, y, width, lineHeight) {
+		var lines = TextLayout.wrap(context, text, width);
+		lines.forEach(function(line, i) {
+			context.fillText(line, x, y + i * lineHeight);
+		});
+		return lines.length;
+	}
+}
+
+/**
+ * Validator checks graph of rooms of the game and reports problems of level.
+ * Report is plain object, so it can be shown by editor.
+ *
+ * @example
+ * {
+ *   "valid": false,
+ *   "errors": [{"severity": "error", "code": "unreachable-room", "room": 3, "message": "Room 3 can not be reached from the main room."}],
+ *   "warnings": []
+ * }
+ * @since 1.1.0
+ */
+class Validator {
+
+	/**
+	 * Validates all rooms connected with main room of the game, also rooms that only have doors to them.
+	 * Ids of rooms in report are the same as ids in level format, rooms which are not saved
+	 * in level format get the following ids.
+	 *
+	 * @param {Game} game Game to validate.
+	 * @returns {ValidationReport} Report with errors and warnings.
+	 */
+	static validate(game) {
+		var ids = Levels.roomIds(game.mainRoom);
+		Validator.connected(game.mainRoom).forEach(function(room) {
+			if (!ids.has(room)) {
+				ids.set(room, ids.size);
+			}
+		});
+		var rooms = Array.from(ids.keys());
+		var report = {valid: true, errors: [], warnings: []};
+		var add = function(severity, code, message, details) {
+			var entry = Object.assign({severity: severity, code: code, message: message}, details);
+			(severity == "error" ? report.errors : report.warnings).push(entry);
+		};
+
+		// Too many doors on one wall
+		rooms.forEach(function(room) {
+			Object.keys(room.rooms).forEach(function(direction) {
+				var count = room.rooms[direction].length;
+				if (count > DoorConstants.MAX_NUMBER) {
+					add("error", "door-overflow", "Room " + ids.get(room) + " has " + count + " doors in direction " +
+						Validator.directionName(direction) + ", maximum is " + DoorConstants.MAX_NUMBER + ".",
+						{room: ids.get(room), direction: Number(direction)});
+				}
+			});
+		});
+
+		// Doors that do not fit on a grid
+		Minimap.layout(game.mainRoom).conflicts.forEach(function(conflict) {
+			add("error", "contradiction", "Room " + ids.get(conflict.other) + " is in direction " + Validator.directionName(conflict.direction) +
+				" of room " + ids.get(conflict.room) + ", but other doors place it elsewhere.",
+				{room: ids.get(conflict.room), other: ids.get(conflict.other), direction: conflict.direction});
+		});
+
+		// One way doors
+		rooms.forEach(function(room) {
+			if (room instanceof GameOverRoom) {
+				return;
+			}
+			Object.keys(room.rooms).forEach(function(direction) {
+				room.rooms[direction].forEach(function(other) {
+					var back = other.rooms[Direction.inverse(Number(direction))];
+					if (!(other instanceof GameOverRoom) && (!back || back.indexOf(room) == -1)) {
+						add("warning", "one-way-door", "Door from room " + ids.get(room) + " to room " + ids.get(other) +
+							" has no door back.", {room: ids.get(room), other: ids.get(other), direction: Number(direction)});
+					}
+				});
+			});
+		});
+
+		// Reachability, player can not leave game over room
+		var reachable = Validator.reachable(game.mainRoom, false);
+		var reachableLocked = Validator.reachable(game.mainRoom, true);
+		rooms.forEach(function(room) {
+			if (!reachableLocked.has(room)) {
+				add("error", "unreachable-room", "Room " + ids.get(room) + " can not be reached from the main room.",
+					{room: ids.get(room)});
+			} else if (!reachable.has(room)) {
+				add("warning", "locked-room", "Room " + ids.get(room) + " can be reached only through locked doors.",
+					{room: ids.get(room)});
+			} else if (!(room instanceof GameOverRoom) && !Validator.reachable(room, true).has(game.mainRoom)) {
+				add("warning", "dead-end", "Player can not return to the main room from room " + ids.get(room) + ".",
+					{room: ids.get(room)});
+			}
+		});
+
+		// Items
+		rooms.forEach(function(room) {
+			room.items.forEach(function(item, index) {
+				if (item.x < 0 || item.y < 0 || item.x + item.width > room.width + Number.EPSILON ||
+					item.y + item.height > room.height + Number.EPSILON) {
+					add("error", "item-outside", "Item " + index + " (" + Items.typeOf(item) + ") in room " + ids.get(room) +
+						" is outside of room.", {room: ids.get(room), item: index});
+				}
+				if (item.moving != Moving.FIXED) {
+					return;
+				}
+				for (var i = index + 1; i < room.items.length; i++) {
+					var other = room.items[i];
+					if (other.moving == Moving.FIXED && item.touches(other)) {
+						add("warning", "item-overlap", "Fixed items " + index + " and " + i + " in room " + ids.get(room) +
+							" overlap.", {room: ids.get(room), item: index, other: i});
+					}
+				}
+			});
+		});
+
+		report.valid = report.errors.length == 0;
+		return report;
+	}
+
+	/**
+	 * Returns name of direction for messages.
+	 *
+	 * @param {Direction} direction Direction.
+	 * @returns {string} Name of direction.
+	 */
+	static directionName(direction) {
+		return Object.keys(Direction).find(function(name) {
+			return Direction[name] == direction;
+		});
+	}
+
+	/**
+	 * Finds rooms connected with room by doors in any direction, also by doors that lead only to it.
+	 *
+	 * @param {Room} start	Room where search starts.
+	 * @returns {Set.<Room>} Connected rooms.
+	 */
+	static connected(start) {
+		var found = new Set([start]);
+		var queue = [start];
+		while (queue.length > 0) {
+			var room = queue.shift();
+			var neighbours = Array.from(room.entrances);
+			Object.keys(room.rooms).forEach(function(direction) {
+				neighbours = neighbours.concat(room.rooms[direction]);
+			});
+			neighbours.forEach(function(next) {
+				if (!found.has(next)) {
+					found.add(next);
+					queue.push(next);
+				}
+			});
+		}
+		return found;
+	}
+
+	/**
+	 * Finds rooms that player can reach from room. Player can not leave game over room.
+	 *
+	 * @param {Room} start				Room where player starts.
+	 * @param {boolean} throughLocked	True if player can pass locked doors.
+	 * @returns {Set.<Room>} Reachable rooms.
+	 */
+	static reachable(start, throughLocked) {
+		var reached = new Set([start]);
+		var queue = [start];
+		while (queue.length > 0) {
+			var room = queue.shift();
+			if (room instanceof GameOverRoom) {
+				continue;
+			}
+			Object.keys(room.rooms).forEach(function(direction) {
+				room.rooms[direction].forEach(function(next, i) {
+					if (!reached.has(next) && (throughLocked || !room.doors[direction][i].locked)) {
+						reached.add(next);
+						queue.push(next);
+					}
+				});
+			});
+		}
+		return reached;
+	}
+}
+
+/**
+ * Report of validation.
+ *
+ * @typedef {Object} ValidationReport
+ * @property {boolean} valid				True if there are no errors.
+ * @property {ValidationEntry[]} errors		Problems that break the level.
+ * @property {ValidationEntry[]} warnings	Problems that may be intended.
+ */
+
+/**
+ * One problem found by validation.
+ *
+ * @typedef {Object} ValidationEntry
+ * @property {string} severity			"error" or "warning".
+ * @property {string} code				Code of problem, for example "unreachable-room".
+ * @property {string} message			Readable description of problem.
+ * @property {number} [room]			Id of room in level format.
+ * @property {number} [other]			Id of other room or index of other item.
+ * @property {Direction} [direction]	Direction of doors.
+ * @property {number} [item]			Index of item in room.
+ */
\ No newline at end of file